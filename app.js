@@ -1,16 +1,206 @@
+// Number of ranked alternative plans kept per curtain for comparison
+const RANKED_PLAN_COUNT = 8;
+
+// What the solver optimizes - plans are ranked by the objective, ties by the usual waste / rolls / seams order
+const OPTIMIZATION_OBJECTIVES = [
+    { id: 'min-waste', name: 'Minimum waste' },
+    { id: 'fewest-rolls', name: 'Fewest rolls' },
+    { id: 'fewest-seams', name: 'Fewest seams' },
+    { id: 'lowest-cost', name: 'Lowest fabric cost' },
+    { id: 'single-width', name: 'Single fabric width' }
+];
+
+// Most panels the solver tries for one curtain
+const MAX_PANELS_PER_CURTAIN = 30;
+
+// localStorage keys - the fabric stock and settings are shared, projects are kept in a library
+const STORAGE_KEYS = {
+    workshop: 'curtainCalculator.workshop',
+    projects: 'curtainCalculator.projects',
+    currentProjectId: 'curtainCalculator.currentProjectId',
+    nextProjectId: 'curtainCalculator.nextProjectId'
+};
+
+// Version of the saved project and workshop data
+const STORAGE_VERSION = 1;
+
+// Version of the exported project file (see PROJECT_FILE_SCHEMA)
+// Version 1 was the bare project snapshot of the local project library; version 2 files
+// wrap it with the fabric stock and the chosen solutions
+const PROJECT_FILE_VERSION = 2;
+
+// Delay before a change is autosaved (in ms)
+const AUTOSAVE_DELAY_MS = 500;
+
+// Paper sizes of the PDF job pack - ids are jsPDF page formats
+const JOB_PACK_PAGE_SIZES = [
+    { id: 'a4', name: 'A4' },
+    { id: 'a3', name: 'A3' },
+    { id: 'letter', name: 'Letter' }
+];
+
+// Job pack page settings of a new installation - logo is a data URL, null for none
+const DEFAULT_JOB_PACK_SETTINGS = { pageSize: 'a4', orientation: 'portrait', logo: null };
+
+// Curtain schedule columns that can be mapped on CSV import - guesses are matched against the header names
+const CSV_IMPORT_FIELDS = [
+    { key: 'room', name: 'Room', required: false, guesses: ['room', 'location', 'space'] },
+    { key: 'name', name: 'Curtain Name', required: false, guesses: ['curtain', 'name', 'window', 'ref'] },
+    { key: 'width', name: 'Width (mm)', required: true, guesses: ['width', 'track', 'w'] },
+    { key: 'height', name: 'Height (mm)', required: true, guesses: ['height', 'drop', 'h'] }
+];
+
+// Each roll is 50 meters = 50000 mm long unless another length is entered
+const DEFAULT_ROLL_LENGTH_MM = 50000;
+
+// Fabric of a new installation - the catalogue widths below belong to it
+const DEFAULT_FABRIC_TYPES = [{ id: 1, name: 'Standard', colour: '', composition: '' }];
+
+// Fabric widths in the catalogue of a new installation (in mm)
+const DEFAULT_FABRIC_WIDTHS = [2100, 2000, 1900, 1500];
+
+// Smallest offcut a calculation keeps as a remnant (in mm)
+const DEFAULT_REMNANT_SETTINGS = { minWidth: 300, minLength: 500 };
+
+// Default cut length allowances added to the finished height (in mm)
+const DEFAULT_HEADER_ALLOWANCE_MM = 100; // tape / pinch-pleat heading
+const DEFAULT_HEM_ALLOWANCE_MM = 100;    // bottom hem
+
+// Heading types with their usual fullness (gathering ratio: flat fabric width / track width)
+const HEADING_TYPES = [
+    { id: 'flat', name: 'Flat panel', fullness: 1.0 },
+    { id: 'eyelet', name: 'Eyelet', fullness: 1.8 },
+    { id: 'pinch-pleat', name: 'Pinch pleat', fullness: 2.0 },
+    { id: 'wave', name: 'Wave', fullness: 2.2 },
+    { id: 'triple-pinch-pleat', name: 'Triple pinch pleat', fullness: 2.5 },
+    { id: 'pencil-pleat', name: 'Pencil pleat', fullness: 2.5 }
+];
+
+// How a curtain is split into leaves along the track - every leaf is sewn and hemmed as a curtain of its own
+// single: one leaf drawn to one side; pair: two equal leaves opening at the centre; custom: leafWidths (in mm)
+const CURTAIN_LAYOUTS = [
+    { id: 'single', name: 'Single (one-way draw)' },
+    { id: 'pair', name: 'Pair (centre opening)' },
+    { id: 'custom', name: 'Custom leaf widths' }
+];
+// Custom leaf widths may miss the track width by this much (in mm) - rounding when a track is split in three
+const LEAF_WIDTH_TOLERANCE_MM = 1;
+
+// Layers sewn behind the face fabric - labelSuffix marks their panel labels, colour their diagram outline
+const LINING_LAYERS = [
+    { id: 'lining', name: 'Lining', labelSuffix: 'L', colour: '#667eea' },
+    { id: 'interlining', name: 'Interlining', labelSuffix: 'I', colour: '#e67e22' }
+];
+
+// Lining options of a curtain and the layers each one adds to the face fabric
+const LINING_TYPES = [
+    { id: 'unlined', name: 'Unlined', layers: [] },
+    { id: 'lined', name: 'Lined', layers: ['lining'] },
+    { id: 'interlined', name: 'Lined and interlined', layers: ['lining', 'interlining'] }
+];
+
+// Allowances of the lining layers in a new installation (in mm) - like an allowance profile with its own
+// heading and hem, so a layer is cut narrower and shorter than the face fabric
+const DEFAULT_LINING_ALLOWANCES = {
+    lining: { outerEdge: 50, innerEdge: 25, headerAllowance: 50, hemAllowance: 50 },
+    interlining: { outerEdge: 100, innerEdge: 25, headerAllowance: 80, hemAllowance: 80 }
+};
+
+// Built-in side hem / seam allowance profiles (in mm)
+// outerEdge: side hem at the two outer edges of the curtain
+// innerEdge: allowance at every edge where two panels are joined
+const DEFAULT_ALLOWANCE_PROFILES = [
+    { id: 'standard', name: 'Standard', outerEdge: 140, innerEdge: 40, builtIn: true },
+    { id: 'blackout', name: 'Blackout', outerEdge: 150, innerEdge: 50, builtIn: true },
+    { id: 'sheer', name: 'Sheer', outerEdge: 100, innerEdge: 20, builtIn: true },
+    { id: 'wave', name: 'Wave fold', outerEdge: 120, innerEdge: 40, builtIn: true },
+    { id: 'french-seam', name: 'French seam', outerEdge: 140, innerEdge: 25, builtIn: true }
+];
+
 // State management
 const state = {
+    // Curtain editor fields (the curtain being added or edited)
     curtainHeight: 0, // in mm
     curtainWidth: 0, // in mm
     curtainName: '',
+    curtainHeaderAllowance: DEFAULT_HEADER_ALLOWANCE_MM, // in mm
+    curtainHemAllowance: DEFAULT_HEM_ALLOWANCE_MM, // in mm
+    curtainProfileId: DEFAULT_ALLOWANCE_PROFILES[0].id,
+    curtainHeadingType: HEADING_TYPES[0].id,
+    curtainFullness: HEADING_TYPES[0].fullness,
+    curtainFabricTypeId: DEFAULT_FABRIC_TYPES[0].id, // null cuts the curtain from any fabric
+    curtainLining: LINING_TYPES[0].id,
+    curtainLiningFabricTypeId: DEFAULT_FABRIC_TYPES[0].id,
+    curtainInterliningFabricTypeId: DEFAULT_FABRIC_TYPES[0].id,
+    curtainLayout: CURTAIN_LAYOUTS[0].id,
+    curtainLeafWidths: [], // track width of every leaf of a custom layout, in mm
     projectName: '',
-    fabricInventory: {
-        2100: 0,
-        2000: 0,
-        1900: 0,
-        1500: 0
+    projectClient: '',
+    projectRevision: '', // revision of the job pack, e.g. "A" or "2"
+    // Curtains in the project - each { id, name, height, width, headerAllowance, hemAllowance, profileId, headingType, fullness, fabricTypeId,
+    // lining, liningFabricTypeId, interliningFabricTypeId, layout, leafWidths }
+    // width is the track / rail width, lengths in mm
+    curtains: [],
+    editingCurtainId: null, // id of the curtain loaded into the editor, null when adding
+    nextCurtainId: 1,
+    projectResult: null, // Result of the last project calculation
+    // Side hem / seam allowance profiles - built-in ones plus the ones the user saved
+    allowanceProfiles: DEFAULT_ALLOWANCE_PROFILES.map(profile => ({ ...profile })),
+    // Fabrics in stock - each { id, name, colour, composition }; catalogue widths and curtains refer to them by id
+    fabricTypes: DEFAULT_FABRIC_TYPES.map(type => ({ ...type })),
+    nextFabricTypeId: DEFAULT_FABRIC_TYPES.length + 1,
+    // Fabric catalogue - each { id, fabricTypeId, width, name, rollLength, pricePerMetre, pricePerRoll, verticalRepeat, horizontalRepeat }
+    // (width, roll length and pattern repeats in mm - a repeat of 0 means plain fabric)
+    fabricCatalogue: DEFAULT_FABRIC_WIDTHS.map((width, index) => ({
+        id: index + 1,
+        fabricTypeId: DEFAULT_FABRIC_TYPES[0].id,
+        width: width,
+        name: '', // optional SKU
+        rollLength: DEFAULT_ROLL_LENGTH_MM,
+        pricePerMetre: 0,
+        pricePerRoll: 0, // used when the fabric has no price per metre
+        verticalRepeat: 0,
+        horizontalRepeat: 0
+    })),
+    nextFabricId: DEFAULT_FABRIC_WIDTHS.length + 1,
+    editingFabricId: null, // id of the catalogue entry loaded into the catalogue form, null when adding
+    // Rolls in stock per catalogue entry id
+    fabricInventory: Object.fromEntries(DEFAULT_FABRIC_WIDTHS.map((width, index) => [index + 1, 0])),
+    // Remnants in the store room - each { id, fabricId, width, length, source, projectId, usedByProjectId }
+    // projectId: project whose calculation left the offcut (null when entered by hand)
+    // usedByProjectId: project whose last calculation cuts from it (null while it is free)
+    remnants: [],
+    nextRemnantId: 1,
+    // Full rolls each project's last calculation cut from, taken out of fabricInventory - { projectId: { fabricId: count } }
+    rollsTaken: {},
+    remnantSettings: { ...DEFAULT_REMNANT_SETTINGS },
+    // Allowances per lining layer id - { outerEdge, innerEdge, headerAllowance, hemAllowance } in mm
+    liningAllowances: Object.fromEntries(LINING_LAYERS.map(layer => [layer.id, { ...DEFAULT_LINING_ALLOWANCES[layer.id] }])),
+    // Solver objective and the constraints every plan must meet (null means no limit)
+    objective: OPTIMIZATION_OBJECTIVES[0].id,
+    constraints: {
+        maxSeams: null,
+        minPanels: null,
+        maxPanels: null,
+        maxNetPanelWidth: null, // in mm
+        sameWidth: false // outer and inner panels from the same fabric width
+    },
+    // Quote settings - labour rates in the quote currency, VAT in percent
+    costSettings: {
+        currency: '€',
+        vatRate: 0,
+        labourPerPanel: 0,
+        labourPerSeam: 0,
+        labourPerHemMetre: 0
     },
-    diagramLanguage: 'en'
+    jobPackSettings: { ...DEFAULT_JOB_PACK_SETTINGS },
+    pngExportDpi: 300, // resolution of the diagram PNG download
+    diagramLanguage: 'en',
+    cutSheetDone: new Set(), // labels of the panels ticked off on the cut sheet
+    csvImport: null, // CSV schedule being mapped: { fileName, headers, rows, mapping: { field key: column index or -1 } }
+    currentProjectId: null, // id of the open project in the saved project library
+    autosaveTimer: null,
+    pdfFontLoad: null // loading of fonts/dejavu-sans.js, started by the first PDF export
 };
 
 // Translation dictionary for diagram labels
@@ -51,11 +241,19 @@ const translations = {
 
 // Initialize event listeners
 document.addEventListener('DOMContentLoaded', () => {
-    // Initialize quantity displays
-    Object.keys(state.fabricInventory).forEach(width => {
-        updateQuantityDisplay(parseInt(width));
-    });
+    // Build the inventory controls from the fabric catalogue
+    renderFabricInventory();
+    renderFabricTypeOptions();
+    renderProfileOptions();
+    renderHeadingOptions();
+    renderLiningOptions();
+    renderLayoutOptions();
+    renderLiningAllowances();
+    renderObjectiveOptions();
+    renderJobPackOptions();
     initializeEventListeners();
+    // Bring back the saved stock, settings and the project that was open
+    restoreLastSession();
     // Don't calculate automatically - wait for user to click calculate button
 });
 
@@ -66,6 +264,12 @@ function initializeEventListeners() {
         projectNameInput.addEventListener('input', (e) => {
             state.projectName = e.target.value.trim();
         });
+        document.getElementById('project-client').addEventListener('input', (e) => {
+            state.projectClient = e.target.value.trim();
+        });
+        document.getElementById('project-revision').addEventListener('input', (e) => {
+            state.projectRevision = e.target.value.trim();
+        });
     }
     
     // Curtain name
@@ -82,25 +286,270 @@ function initializeEventListeners() {
         state.curtainWidth = parseFloat(e.target.value) || 0;
     });
 
-    // Fabric quantity controls - don't calculate automatically
-    document.querySelectorAll('.btn-plus').forEach(btn => {
-        btn.addEventListener('click', () => {
-            const width = parseInt(btn.dataset.width);
-            state.fabricInventory[width]++;
-            updateQuantityDisplay(width);
-        });
+    // Heading and hem allowances added to the cut length
+    document.getElementById('curtain-header-allowance').addEventListener('input', (e) => {
+        state.curtainHeaderAllowance = Math.max(0, parseFloat(e.target.value) || 0);
+    });
+
+    document.getElementById('curtain-hem-allowance').addEventListener('input', (e) => {
+        state.curtainHemAllowance = Math.max(0, parseFloat(e.target.value) || 0);
+    });
+
+    // Heading type picks its preset fullness, which can then be adjusted
+    document.getElementById('curtain-heading').addEventListener('change', (e) => {
+        state.curtainHeadingType = e.target.value;
+        const heading = HEADING_TYPES.find(h => h.id === state.curtainHeadingType);
+        state.curtainFullness = heading.fullness;
+        document.getElementById('curtain-fullness').value = state.curtainFullness;
     });
 
-    document.querySelectorAll('.btn-minus').forEach(btn => {
-        btn.addEventListener('click', () => {
-            const width = parseInt(btn.dataset.width);
-            if (state.fabricInventory[width] > 0) {
-                state.fabricInventory[width]--;
-                updateQuantityDisplay(width);
+    document.getElementById('curtain-fullness').addEventListener('input', (e) => {
+        state.curtainFullness = Math.max(1, parseFloat(e.target.value) || 1);
+    });
+
+    // Side hem / seam allowance profile of the curtain
+    document.getElementById('curtain-profile').addEventListener('change', (e) => {
+        state.curtainProfileId = e.target.value;
+    });
+
+    // Fabric the curtain is cut from - empty for any fabric
+    document.getElementById('curtain-fabric').addEventListener('change', (e) => {
+        state.curtainFabricTypeId = e.target.value === '' ? null : parseInt(e.target.value);
+    });
+
+    // Lining layers and the fabric of each layer
+    document.getElementById('curtain-lining').addEventListener('change', (e) => {
+        state.curtainLining = e.target.value;
+        updateLiningFabricFields();
+    });
+    document.getElementById('curtain-lining-fabric').addEventListener('change', (e) => {
+        state.curtainLiningFabricTypeId = e.target.value === '' ? null : parseInt(e.target.value);
+    });
+    document.getElementById('curtain-interlining-fabric').addEventListener('change', (e) => {
+        state.curtainInterliningFabricTypeId = e.target.value === '' ? null : parseInt(e.target.value);
+    });
+
+    // Leaves along the track - the widths are only asked for a custom layout
+    document.getElementById('curtain-layout').addEventListener('change', (e) => {
+        state.curtainLayout = e.target.value;
+        updateLeafWidthsField();
+    });
+    document.getElementById('curtain-leaf-widths').addEventListener('input', (e) => {
+        state.curtainLeafWidths = e.target.value.split(/[\s,;+]+/).filter(Boolean).map(Number);
+    });
+
+    // Allowance profile editor
+    const profileEditorSelect = document.getElementById('profile-editor-select');
+    if (profileEditorSelect) {
+        profileEditorSelect.addEventListener('change', () => {
+            loadProfileIntoEditor(profileEditorSelect.value);
+        });
+        document.getElementById('profile-save-btn').addEventListener('click', () => {
+            saveProfileFromEditor(false);
+        });
+        document.getElementById('profile-save-new-btn').addEventListener('click', () => {
+            saveProfileFromEditor(true);
+        });
+        document.getElementById('profile-delete-btn').addEventListener('click', deleteProfileFromEditor);
+    }
+
+    // Project library - new project and the actions on the saved projects
+    const newProjectBtn = document.getElementById('new-project-btn');
+    if (newProjectBtn) {
+        newProjectBtn.addEventListener('click', () => {
+            saveCurrentProject();
+            startNewProject();
+        });
+        document.getElementById('project-library').addEventListener('click', (e) => {
+            const actionBtn = e.target.closest('button[data-action]');
+            if (!actionBtn) return;
+            const id = parseInt(actionBtn.dataset.id);
+            if (actionBtn.dataset.action === 'open') {
+                openProject(id);
+            } else if (actionBtn.dataset.action === 'rename') {
+                renameProject(id);
+            } else if (actionBtn.dataset.action === 'duplicate') {
+                duplicateProject(id);
+            } else if (actionBtn.dataset.action === 'delete') {
+                deleteProject(id);
+            }
+        });
+
+        // Project files
+        document.getElementById('export-project-btn').addEventListener('click', exportProject);
+        const importInput = document.getElementById('import-project-input');
+        document.getElementById('import-project-btn').addEventListener('click', () => {
+            importInput.click();
+        });
+        importInput.addEventListener('change', () => {
+            if (importInput.files.length > 0) {
+                importProject(importInput.files[0]);
+            }
+            importInput.value = ''; // Allow importing the same file again
+        });
+    }
+
+    // Autosave - every change in the input section ends up in state before the event reaches here
+    const inputSection = document.querySelector('.input-section');
+    if (inputSection) {
+        ['input', 'change', 'click'].forEach(type => {
+            inputSection.addEventListener(type, scheduleAutosave);
+        });
+        // Don't lose a change that is still waiting for the autosave delay
+        window.addEventListener('beforeunload', saveCurrentProject);
+    }
+
+    // Curtain list management - add/update from the editor, edit/duplicate/remove from the list
+    const addCurtainBtn = document.getElementById('add-curtain-btn');
+    if (addCurtainBtn) {
+        addCurtainBtn.addEventListener('click', saveCurtainFromEditor);
+    }
+
+    const cancelEditBtn = document.getElementById('cancel-edit-btn');
+    if (cancelEditBtn) {
+        cancelEditBtn.addEventListener('click', () => {
+            setCurtainEditor(null);
+        });
+    }
+
+    // CSV curtain schedule import - pick a file, map the columns, import the valid rows
+    const csvImportInput = document.getElementById('csv-import-input');
+    if (csvImportInput) {
+        csvImportInput.addEventListener('change', async () => {
+            if (csvImportInput.files.length > 0) {
+                await loadCsvSchedule(csvImportInput.files[0]);
+            }
+            csvImportInput.value = ''; // Allow loading the same file again
+        });
+        document.getElementById('csv-import-mapping').addEventListener('change', (e) => {
+            if (!state.csvImport || !e.target.dataset.field) return;
+            state.csvImport.mapping[e.target.dataset.field] = parseInt(e.target.value);
+            renderCsvImport();
+        });
+        document.getElementById('csv-import-btn').addEventListener('click', importCsvSchedule);
+        document.getElementById('csv-cancel-btn').addEventListener('click', () => {
+            state.csvImport = null;
+            renderCsvImport();
+        });
+    }
+
+    const curtainList = document.getElementById('curtain-list');
+    if (curtainList) {
+        curtainList.addEventListener('click', (e) => {
+            const actionBtn = e.target.closest('button[data-action]');
+            if (!actionBtn) return;
+            const id = parseInt(actionBtn.dataset.id);
+            if (actionBtn.dataset.action === 'edit') {
+                editCurtain(id);
+            } else if (actionBtn.dataset.action === 'duplicate') {
+                duplicateCurtain(id);
+            } else if (actionBtn.dataset.action === 'remove') {
+                removeCurtain(id);
+            }
+        });
+    }
+
+    // Fabric quantity controls and catalogue entry actions - don't calculate automatically
+    const fabricInventoryDiv = document.getElementById('fabric-inventory');
+    if (fabricInventoryDiv) {
+        fabricInventoryDiv.addEventListener('click', (e) => {
+            const actionBtn = e.target.closest('button[data-action]');
+            if (!actionBtn) return;
+            const id = parseInt(actionBtn.dataset.id);
+            if (actionBtn.dataset.action === 'plus') {
+                state.fabricInventory[id]++;
+                updateQuantityDisplay(id);
+            } else if (actionBtn.dataset.action === 'minus') {
+                if (state.fabricInventory[id] > 0) {
+                    state.fabricInventory[id]--;
+                    updateQuantityDisplay(id);
+                }
+            } else if (actionBtn.dataset.action === 'edit') {
+                setFabricEditor(state.fabricCatalogue.find(entry => entry.id === id) || null);
+            } else if (actionBtn.dataset.action === 'remove') {
+                removeFabricEntry(id);
+            }
+        });
+    }
+
+    // Fabric editor - name, colour and composition of the fabrics in the catalogue
+    const fabricTypeEditorSelect = document.getElementById('fabric-type-editor-select');
+    if (fabricTypeEditorSelect) {
+        fabricTypeEditorSelect.addEventListener('change', () => {
+            loadFabricTypeIntoEditor(parseInt(fabricTypeEditorSelect.value));
+        });
+        document.getElementById('fabric-type-save-btn').addEventListener('click', () => {
+            saveFabricTypeFromEditor(false);
+        });
+        document.getElementById('fabric-type-save-new-btn').addEventListener('click', () => {
+            saveFabricTypeFromEditor(true);
+        });
+        document.getElementById('fabric-type-delete-btn').addEventListener('click', deleteFabricTypeFromEditor);
+    }
+
+    // Fabric catalogue form - add a width or update the entry being edited
+    const fabricSaveBtn = document.getElementById('fabric-save-btn');
+    if (fabricSaveBtn) {
+        fabricSaveBtn.addEventListener('click', saveFabricFromEditor);
+        document.getElementById('fabric-cancel-btn').addEventListener('click', () => {
+            setFabricEditor(null);
+        });
+    }
+
+    // Lining allowances - shared by every lined curtain, don't calculate automatically
+    LINING_LAYERS.forEach(layer => {
+        Object.keys(DEFAULT_LINING_ALLOWANCES[layer.id]).forEach(key => {
+            const input = document.getElementById(`${layer.id}-allowance-${key}`);
+            if (input) {
+                input.addEventListener('input', (e) => {
+                    state.liningAllowances[layer.id][key] = Math.max(0, parseFloat(e.target.value) || 0);
+                });
             }
         });
     });
 
+    // Remnant inventory - add by hand, remove, minimum size kept from a calculation
+    const remnantAddBtn = document.getElementById('remnant-add-btn');
+    if (remnantAddBtn) {
+        remnantAddBtn.addEventListener('click', addRemnantFromForm);
+        document.getElementById('remnant-list').addEventListener('click', (e) => {
+            const actionBtn = e.target.closest('button[data-action]');
+            if (actionBtn && actionBtn.dataset.action === 'remove') {
+                removeRemnant(parseInt(actionBtn.dataset.id));
+            }
+        });
+        [
+            ['remnant-min-width', 'minWidth'],
+            ['remnant-min-length', 'minLength']
+        ].forEach(([inputId, key]) => {
+            document.getElementById(inputId).addEventListener('input', (e) => {
+                state.remnantSettings[key] = Math.max(0, parseFloat(e.target.value) || 0);
+            });
+        });
+    }
+
+    // Optimization objective and plan constraints - null when a limit is left empty
+    const objectiveSelect = document.getElementById('objective');
+    if (objectiveSelect) {
+        objectiveSelect.addEventListener('change', (e) => {
+            state.objective = e.target.value;
+        });
+        [
+            ['constraint-max-seams', 'maxSeams'],
+            ['constraint-min-panels', 'minPanels'],
+            ['constraint-max-panels', 'maxPanels'],
+            ['constraint-max-net-width', 'maxNetPanelWidth']
+        ].forEach(([inputId, key]) => {
+            document.getElementById(inputId).addEventListener('input', (e) => {
+                const value = parseFloat(e.target.value);
+                state.constraints[key] = Number.isFinite(value) && value >= 0 ? value : null;
+            });
+        });
+        document.getElementById('constraint-same-width').addEventListener('change', (e) => {
+            state.constraints.sameWidth = e.target.checked;
+        });
+    }
+
     // Language selector removed - always use English for diagram labels
 
     // PDF export button
@@ -109,6 +558,96 @@ function initializeEventListeners() {
         exportBtn.addEventListener('click', exportToPDF);
     }
 
+    // Diagram downloads - standalone SVG, PNG at the chosen DPI
+    const exportSvgBtn = document.getElementById('export-svg-btn');
+    if (exportSvgBtn) {
+        exportSvgBtn.addEventListener('click', exportDiagramSvg);
+        document.getElementById('export-png-btn').addEventListener('click', exportDiagramPng);
+        document.getElementById('export-png-dpi').addEventListener('change', (e) => {
+            state.pngExportDpi = parseInt(e.target.value);
+        });
+    }
+
+    // Workshop cut sheet - view, tick off finished cuts, export
+    const showCutSheetBtn = document.getElementById('show-cut-sheet-btn');
+    if (showCutSheetBtn) {
+        showCutSheetBtn.addEventListener('click', () => {
+            const container = document.getElementById('cut-sheet-container');
+            container.hidden = !container.hidden;
+            if (!container.hidden) {
+                renderCutSheet();
+            }
+        });
+        document.getElementById('export-cut-sheet-btn').addEventListener('click', exportCutSheet);
+        document.getElementById('cut-sheet-container').addEventListener('change', (e) => {
+            const label = e.target.dataset.label;
+            if (!label) return;
+            if (e.target.checked) {
+                state.cutSheetDone.add(label);
+            } else {
+                state.cutSheetDone.delete(label);
+            }
+            e.target.closest('tr').classList.toggle('done', e.target.checked);
+        });
+    }
+
+    // Cut list and cut outline exports
+    const exportCutListCsvBtn = document.getElementById('export-cutlist-csv-btn');
+    if (exportCutListCsvBtn) {
+        exportCutListCsvBtn.addEventListener('click', exportCutListCsv);
+        document.getElementById('export-cutlist-xlsx-btn').addEventListener('click', exportCutListXlsx);
+        document.getElementById('export-dxf-btn').addEventListener('click', exportCutDxf);
+    }
+
+    // Job pack - page settings, logo and export
+    const jobPackBtn = document.getElementById('export-job-pack-btn');
+    if (jobPackBtn) {
+        jobPackBtn.addEventListener('click', exportJobPack);
+        document.getElementById('job-pack-page-size').addEventListener('change', (e) => {
+            state.jobPackSettings.pageSize = e.target.value;
+        });
+        document.getElementById('job-pack-orientation').addEventListener('change', (e) => {
+            state.jobPackSettings.orientation = e.target.value;
+        });
+        const logoInput = document.getElementById('job-pack-logo-input');
+        logoInput.addEventListener('change', async () => {
+            if (logoInput.files.length > 0) {
+                await loadJobPackLogo(logoInput.files[0]);
+            }
+            logoInput.value = ''; // Allow loading the same file again
+        });
+        document.getElementById('job-pack-logo-remove-btn').addEventListener('click', () => {
+            state.jobPackSettings.logo = null;
+            renderJobPackLogo();
+        });
+    }
+
+    // Customer quote export
+    const exportQuoteBtn = document.getElementById('export-quote-btn');
+    if (exportQuoteBtn) {
+        exportQuoteBtn.addEventListener('click', exportQuote);
+    }
+
+    // Quote currency, VAT and labour rates - refresh the cost breakdown of the last calculation
+    const costCurrencyInput = document.getElementById('cost-currency');
+    if (costCurrencyInput) {
+        costCurrencyInput.addEventListener('input', (e) => {
+            state.costSettings.currency = e.target.value;
+            refreshResults();
+        });
+        [
+            ['cost-vat-rate', 'vatRate'],
+            ['cost-labour-panel', 'labourPerPanel'],
+            ['cost-labour-seam', 'labourPerSeam'],
+            ['cost-labour-hem', 'labourPerHemMetre']
+        ].forEach(([inputId, key]) => {
+            document.getElementById(inputId).addEventListener('input', (e) => {
+                state.costSettings[key] = Math.max(0, parseFloat(e.target.value) || 0);
+                refreshResults();
+            });
+        });
+    }
+
     // Calculate button - triggers calculation
     const calculateBtn = document.getElementById('calculate-btn');
     if (calculateBtn) {
@@ -118,246 +657,3412 @@ function initializeEventListeners() {
     }
 }
 
-function updateQuantityDisplay(width) {
-    const quantityElement = document.querySelector(`.quantity[data-width="${width}"]`);
+function updateQuantityDisplay(fabricId) {
+    const quantityElement = document.querySelector(`.quantity[data-id="${fabricId}"]`);
     if (quantityElement) {
-        quantityElement.textContent = state.fabricInventory[width];
+        quantityElement.textContent = state.fabricInventory[fabricId];
     }
 }
 
-// Main calculation function
-function calculate() {
-    const resultsDiv = document.getElementById('results');
-    const diagramContainer = document.getElementById('diagram-container');
+// Short label of a catalogue entry, e.g. "2100 mm" or "2100 mm Sheer-White"
+// Once there are several fabrics the fabric is named too, e.g. "2100 mm Linen Natural"
+function getFabricLabel(entry) {
+    const fabricType = state.fabricTypes.length > 1 ? getFabricType(entry.fabricTypeId) : null;
+    return [`${entry.width} mm`, fabricType ? getFabricTypeLabel(fabricType) : '', entry.name].filter(Boolean).join(' ');
+}
 
-    // Validate inputs
-    if (state.curtainHeight <= 0 || state.curtainWidth <= 0) {
-        resultsDiv.innerHTML = '<p class="placeholder">Please enter valid curtain dimensions</p>';
-        diagramContainer.innerHTML = '';
+function getFabricEntry(fabricId) {
+    return state.fabricCatalogue.find(entry => entry.id === fabricId);
+}
+
+function getFabricType(fabricTypeId) {
+    return state.fabricTypes.find(type => type.id === fabricTypeId);
+}
+
+// Name and colour of a fabric, e.g. "Linen Natural"
+function getFabricTypeLabel(fabricType) {
+    return [fabricType.name, fabricType.colour].filter(Boolean).join(' ');
+}
+
+// Face fabric a curtain is cut from, for the lists - "Any fabric" when it has none
+function getCurtainFabricLabel(curtain) {
+    if (curtain.fabricTypeId === null || curtain.fabricTypeId === undefined) return 'Any fabric';
+    const fabricType = getFabricType(curtain.fabricTypeId);
+    return fabricType ? getFabricTypeLabel(fabricType) : 'Unknown fabric';
+}
+
+// Catalogue entries a curtain's face fabric can be cut from
+function getCurtainFabrics(curtain) {
+    return getFabricsOfType(curtain.fabricTypeId);
+}
+
+// Catalogue entries of a fabric - every entry when no fabric is chosen (null), which means any fabric
+function getFabricsOfType(fabricTypeId) {
+    if (fabricTypeId === null || fabricTypeId === undefined) return state.fabricCatalogue;
+    return state.fabricCatalogue.filter(entry => entry.fabricTypeId === fabricTypeId);
+}
+
+// Lining layers sewn behind a curtain's face fabric (LINING_LAYERS entries), none for an unlined curtain
+function getCurtainLayers(curtain) {
+    const liningType = LINING_TYPES.find(type => type.id === curtain.lining) || LINING_TYPES[0];
+    return liningType.layers.map(layerId => LINING_LAYERS.find(layer => layer.id === layerId));
+}
+
+// Fabric of a lining layer of a curtain, for the lists
+function getLayerFabricLabel(curtain, layer) {
+    return getCurtainFabricLabel({ fabricTypeId: curtain[`${layer.id}FabricTypeId`] });
+}
+
+// Lining of a curtain for the lists, e.g. "Lined (Lining: Sateen White)" - empty for an unlined curtain
+function getCurtainLiningLabel(curtain) {
+    const layers = getCurtainLayers(curtain);
+    if (layers.length === 0) return '';
+    const liningType = LINING_TYPES.find(type => type.id === curtain.lining);
+    return `${liningType.name} (${layers.map(layer => `${layer.name}: ${getLayerFabricLabel(curtain, layer)}`).join(', ')})`;
+}
+
+// Whether custom leaf widths fill the track width
+function leafWidthsFitTrack(leafWidths, trackWidth) {
+    const total = leafWidths.reduce((sum, width) => sum + Number(width), 0);
+    return leafWidths.length > 0 && Math.abs(total - Number(trackWidth)) <= LEAF_WIDTH_TOLERANCE_MM;
+}
+
+// Track width of every leaf of a curtain, left to right (in mm) - curtains saved before there were layouts
+// hang as one leaf, and so do custom leaf widths that no longer fill the track (e.g. its width was changed)
+function getCurtainLeafWidths(curtain) {
+    const width = Number(curtain.width);
+    if (curtain.layout === 'pair') return [width / 2, width / 2];
+    if (curtain.layout === 'custom' && curtain.leafWidths && leafWidthsFitTrack(curtain.leafWidths, width)) return curtain.leafWidths.map(Number);
+    return [width];
+}
+
+// Layout of a curtain for the lists, e.g. "Pair" or "Leaves 1200 + 1800 mm" - empty for a single leaf
+function getCurtainLayoutLabel(curtain) {
+    const leafWidths = getCurtainLeafWidths(curtain);
+    if (leafWidths.length === 1) return '';
+    if (curtain.layout === 'pair') return `Pair of ${leafWidths[0]} mm leaves`;
+    return `Leaves ${leafWidths.join(' + ')} mm`;
+}
+
+// Price of one metre of roll length - from the roll price when the fabric is only sold by the roll
+function getFabricMetrePrice(entry) {
+    if (!entry) return 0;
+    if (Number(entry.pricePerMetre) > 0) return Number(entry.pricePerMetre);
+    const rollLength = Number(entry.rollLength) || DEFAULT_ROLL_LENGTH_MM;
+    return Number(entry.pricePerRoll || 0) / (rollLength / 1000);
+}
+
+// Generate the inventory controls (the catalogue entries of each fabric, widest first)
+function renderFabricInventory() {
+    const inventoryDiv = document.getElementById('fabric-inventory');
+    if (!inventoryDiv) return;
+
+    // Remnants show the catalogue labels
+    renderRemnants();
+
+    if (state.fabricCatalogue.length === 0) {
+        inventoryDiv.innerHTML = '<p class="placeholder">No fabric widths in the catalogue</p>';
         return;
     }
 
-    // Check if any fabric is available
-    const totalInventory = Object.values(state.fabricInventory).reduce((sum, qty) => sum + qty, 0);
-    if (totalInventory === 0) {
-        resultsDiv.innerHTML = '<p class="placeholder">Please add fabric inventory</p>';
-        diagramContainer.innerHTML = '';
-        return;
+    inventoryDiv.innerHTML = state.fabricTypes.map(fabricType => {
+        const entries = state.fabricCatalogue
+            .filter(entry => entry.fabricTypeId === fabricType.id)
+            .sort((a, b) => b.width - a.width);
+        return `
+        <div class="fabric-type-heading">
+            <strong>${escapeHtml(getFabricTypeLabel(fabricType))}</strong>${fabricType.composition ? ` <span class="fabric-item-meta">${escapeHtml(fabricType.composition)}</span>` : ''}
+        </div>
+        ${entries.length === 0 ? '<p class="placeholder">No widths of this fabric in the catalogue</p>' : entries.map(renderFabricItem).join('')}`;
+    }).join('');
+}
+
+// Inventory row of one catalogue entry - quantity control and the catalogue actions
+function renderFabricItem(entry) {
+    return `
+        <div class="fabric-item${entry.id === state.editingFabricId ? ' editing' : ''}">
+            <div class="fabric-item-info">
+                <label>${entry.width} mm fabric${entry.name ? ` · ${escapeHtml(entry.name)}` : ''}</label>
+                <span class="fabric-item-meta">
+                    ${entry.rollLength} mm per roll${entry.pricePerMetre > 0 ? ` · ${entry.pricePerMetre.toFixed(2)} per metre` : ''}${entry.pricePerRoll > 0 ? ` · ${entry.pricePerRoll.toFixed(2)} per roll` : ''}${entry.verticalRepeat > 0 || entry.horizontalRepeat > 0 ? ` · repeat ${entry.verticalRepeat} × ${entry.horizontalRepeat} mm` : ''}
+                </span>
+                <div class="fabric-item-actions">
+                    <button data-action="edit" data-id="${entry.id}">Edit</button>
+                    <button data-action="remove" data-id="${entry.id}">Remove</button>
+                </div>
+            </div>
+            <div class="quantity-control">
+                <button class="btn-minus" data-action="minus" data-id="${entry.id}">−</button>
+                <span class="quantity" data-id="${entry.id}">${state.fabricInventory[entry.id] || 0}</span>
+                <button class="btn-plus" data-action="plus" data-id="${entry.id}">+</button>
+            </div>
+        </div>`;
+}
+
+// Load a catalogue entry into the catalogue form (or clear the form when entry is null)
+function setFabricEditor(entry) {
+    state.editingFabricId = entry ? entry.id : null;
+    // A new entry keeps the fabric chosen last, so several widths of one fabric are quick to add
+    if (entry) {
+        document.getElementById('fabric-type').value = entry.fabricTypeId;
     }
+    document.getElementById('fabric-width').value = entry ? entry.width : '';
+    document.getElementById('fabric-name').value = entry ? entry.name : '';
+    document.getElementById('fabric-roll-length').value = entry ? entry.rollLength : DEFAULT_ROLL_LENGTH_MM;
+    document.getElementById('fabric-price').value = entry ? entry.pricePerMetre : 0;
+    document.getElementById('fabric-roll-price').value = entry ? entry.pricePerRoll : 0;
+    document.getElementById('fabric-vertical-repeat').value = entry ? entry.verticalRepeat : 0;
+    document.getElementById('fabric-horizontal-repeat').value = entry ? entry.horizontalRepeat : 0;
+    document.getElementById('fabric-save-btn').textContent = entry ? 'Update Fabric' : 'Add Fabric';
+    document.getElementById('fabric-cancel-btn').hidden = !entry;
 
-    // Find optimal solution
-    const solution = findOptimalSolution();
+    // Open the catalogue panel so the entry is visible
+    const cataloguePanel = document.getElementById('fabric-catalogue-panel');
+    if (cataloguePanel && entry) {
+        cataloguePanel.open = true;
+    }
+    renderFabricInventory();
+}
 
-    if (!solution) {
-        resultsDiv.innerHTML = '<div class="error-message">No valid solution found. Please check your inventory and curtain dimensions.</div>';
-        diagramContainer.innerHTML = '';
-        const exportBtn = document.getElementById('export-pdf-btn');
-        if (exportBtn) {
-            exportBtn.disabled = true;
-        }
+// Add the catalogue form as a new entry, or update the entry being edited
+function saveFabricFromEditor() {
+    const fabricTypeId = parseInt(document.getElementById('fabric-type').value);
+    const width = parseFloat(document.getElementById('fabric-width').value);
+    const name = document.getElementById('fabric-name').value.trim();
+    const rollLength = parseFloat(document.getElementById('fabric-roll-length').value);
+    const pricePerMetre = parseFloat(document.getElementById('fabric-price').value) || 0;
+    const pricePerRoll = parseFloat(document.getElementById('fabric-roll-price').value) || 0;
+    const verticalRepeat = parseFloat(document.getElementById('fabric-vertical-repeat').value) || 0;
+    const horizontalRepeat = parseFloat(document.getElementById('fabric-horizontal-repeat').value) || 0;
+    if (!getFabricType(fabricTypeId)) {
+        alert('Please add the fabric under Fabrics first');
+        return;
+    }
+    if (!(width > 0) || !(rollLength > 0) || pricePerMetre < 0 || pricePerRoll < 0 || verticalRepeat < 0 || horizontalRepeat < 0) {
+        alert('Please enter a valid fabric width and roll length');
         return;
     }
 
-    // Display results
-    displayResults(solution);
-    renderDiagram(solution);
-    
-    // Enable PDF export button
-    const exportBtn = document.getElementById('export-pdf-btn');
-    if (exportBtn) {
-        exportBtn.disabled = false;
+    const existing = getFabricEntry(state.editingFabricId);
+    if (existing) {
+        Object.assign(existing, { fabricTypeId, width, name, rollLength, pricePerMetre, pricePerRoll, verticalRepeat, horizontalRepeat });
+    } else {
+        const id = state.nextFabricId++;
+        state.fabricCatalogue.push({ id, fabricTypeId, width, name, rollLength, pricePerMetre, pricePerRoll, verticalRepeat, horizontalRepeat });
+        state.fabricInventory[id] = 0;
     }
+    setFabricEditor(null);
 }
 
-/**
- * Find the optimal fabric solution with minimum waste
- * Supports different fabric widths for outer and inner panels
- * 
- * Algorithm:
- * 1. Loop over all valid parts values (2 to max)
- * 2. For each parts value, calculate netWidth and cut widths
- * 3. Try all combinations of fabric widths for outer and inner panels
- * 4. Select the solution with minimum total waste
- * 
- * @returns {Object|null} Solution object with outerFabricWidth, innerFabricWidth, parts, netWidth, outerPanelWidth, innerPanelWidth, waste
- */
-function findOptimalSolution() {
-    const totalCurtainWidth = Number(state.curtainWidth); // in mm - ensure number
-    const curtainHeight = Number(state.curtainHeight); // in mm - ensure number
-    const fabricWidths = [2100, 2000, 1900, 1500]; // in mm
-    const inventory = state.fabricInventory;
-
-    // Fold values in mm: 140mm (outer edge) + 40mm (inner edge) = 180mm
-    const OUTER_FOLD_MM = 180; // 140 mm (outer edge) + 40 mm (inner edge) = 180 mm
-    const INNER_FOLD_MM = 80;  // 40 mm on each side = 80 mm
-    
-    // Each roll is 50 meters = 5000 mm long
-    const ROLL_LENGTH_MM = 5000; // 50 meters = 5000 mm
+function removeFabricEntry(fabricId) {
+    const entry = getFabricEntry(fabricId);
+    if (!entry) return;
+    if (state.fabricInventory[fabricId] > 0 && !confirm(`Remove ${getFabricLabel(entry)} and its ${state.fabricInventory[fabricId]} rolls from the inventory?`)) {
+        return;
+    }
+    state.fabricCatalogue = state.fabricCatalogue.filter(e => e.id !== fabricId);
+    delete state.fabricInventory[fabricId];
+    state.remnants = state.remnants.filter(remnant => remnant.fabricId !== fabricId);
+    if (state.editingFabricId === fabricId) {
+        setFabricEditor(null);
+    } else {
+        renderFabricInventory();
+    }
+}
 
-    let bestSolution = null;
-    let minWaste = Infinity;
+// Fill the fabric dropdowns - catalogue form, curtain editor and fabric editor
+function renderFabricTypeOptions() {
+    const options = state.fabricTypes.map(fabricType =>
+        `<option value="${fabricType.id}">${escapeHtml(getFabricTypeLabel(fabricType))}</option>`
+    ).join('');
 
-    // Calculate maximum parts based on available inventory
-    let maxParts = 2;
-    for (const fabricWidthMm of fabricWidths) {
-        const availableRolls = Number(inventory[fabricWidthMm]);
-        if (availableRolls > 0) {
-            const panelsPerRoll = Math.floor(ROLL_LENGTH_MM / curtainHeight);
-            if (panelsPerRoll > 0) {
-                maxParts = Math.max(maxParts, availableRolls * panelsPerRoll);
-            }
+    const catalogueSelect = document.getElementById('fabric-type');
+    if (catalogueSelect) {
+        const selectedId = catalogueSelect.value;
+        catalogueSelect.innerHTML = options;
+        if (getFabricType(parseInt(selectedId))) {
+            catalogueSelect.value = selectedId;
         }
     }
-    maxParts = Math.min(maxParts, Math.ceil(totalCurtainWidth / 1500) + 5, 30);
-    
-    // Loop over all valid parts values
-    for (let parts = 2; parts <= maxParts; parts++) {
-        // Calculate net width per panel
-        let netWidth = totalCurtainWidth / parts;
-        
-        // Check for invalid netWidth (negative or zero)
-        if (netWidth <= 0) {
-            continue;
+
+    [
+        ['curtain-fabric', 'curtainFabricTypeId'],
+        ['curtain-lining-fabric', 'curtainLiningFabricTypeId'],
+        ['curtain-interlining-fabric', 'curtainInterliningFabricTypeId']
+    ].forEach(([selectId, key]) => {
+        const curtainFabricSelect = document.getElementById(selectId);
+        if (curtainFabricSelect) {
+            curtainFabricSelect.innerHTML = `<option value="">Any fabric</option>${options}`;
+            curtainFabricSelect.value = state[key] === null ? '' : state[key];
         }
-        
-        // Round netWidth to 1 decimal place
-        netWidth = Math.round(netWidth * 10) / 10;
-        
-        // Calculate cut widths (different for outer and inner panels) - all in mm
-        const outerCutWidth = netWidth + OUTER_FOLD_MM; // netWidth + 180 mm
-        const innerCutWidth = netWidth + INNER_FOLD_MM;  // netWidth + 80 mm
-        
-        // Try all combinations of fabric widths for outer and inner panels
-        for (const outerFabricWidthMm of fabricWidths) {
-            const outerAvailableRolls = Number(inventory[outerFabricWidthMm]);
-            if (outerAvailableRolls === 0) continue;
-            
-            const outerFabricWidth = Number(outerFabricWidthMm);
-            
-            // Check if outer panels fit
-            if (outerCutWidth > outerFabricWidth) {
-                continue;
-            }
-            
-            // Calculate panels per roll for outer fabric
-            const outerPanelsPerRoll = Math.floor(ROLL_LENGTH_MM / curtainHeight);
-            if (outerPanelsPerRoll < 1) continue;
-            
-            // We need 2 outer panels
-            const outerRollsNeeded = Math.ceil(2 / outerPanelsPerRoll);
-            if (outerRollsNeeded > outerAvailableRolls) {
-                continue;
-            }
-            
-            for (const innerFabricWidthMm of fabricWidths) {
-                const innerAvailableRolls = Number(inventory[innerFabricWidthMm]);
-                if (innerAvailableRolls === 0) continue;
-                
-                const innerFabricWidth = Number(innerFabricWidthMm);
-                
-                // Check if inner panels fit
-                if (innerCutWidth > innerFabricWidth) {
-                    continue;
-                }
-                
-                // Calculate panels per roll for inner fabric
-                const innerPanelsPerRoll = Math.floor(ROLL_LENGTH_MM / curtainHeight);
-                if (innerPanelsPerRoll < 1) continue;
-                
-                // We need (parts - 2) inner panels
-                const innerPanelsNeeded = parts - 2;
-                if (innerPanelsNeeded <= 0) continue;
-                
-                const innerRollsNeeded = Math.ceil(innerPanelsNeeded / innerPanelsPerRoll);
-                if (innerRollsNeeded > innerAvailableRolls) {
-                    continue;
-                }
-                
-                // Calculate total waste
-                const outerWaste = 2 * (outerFabricWidth - outerCutWidth);
-                const innerWaste = innerPanelsNeeded * (innerFabricWidth - innerCutWidth);
-                const totalWaste = outerWaste + innerWaste;
-                
-                // Only consider solutions with non-negative waste
-                if (totalWaste < 0) {
-                    continue;
-                }
+    });
 
-                // Check if this is a better solution (lower waste is better)
-                if (totalWaste < minWaste) {
-                    minWaste = totalWaste;
-                    bestSolution = {
-                        outerFabricWidth: outerFabricWidthMm,
-                        innerFabricWidth: innerFabricWidthMm,
-                        parts: parts,
-                        netWidth: netWidth, // in mm
-                        outerPanelWidth: outerCutWidth,  // in mm
-                        innerPanelWidth: innerCutWidth,  // in mm
-                        waste: totalWaste, // in mm
-                        outerRollsNeeded: outerRollsNeeded,
-                        innerRollsNeeded: innerRollsNeeded,
-                        outerPanelsPerRoll: outerPanelsPerRoll,
-                        innerPanelsPerRoll: innerPanelsPerRoll
-                    };
-                }
-            }
+    const fabricTypeEditorSelect = document.getElementById('fabric-type-editor-select');
+    if (fabricTypeEditorSelect) {
+        const selectedId = fabricTypeEditorSelect.value;
+        fabricTypeEditorSelect.innerHTML = options;
+        if (getFabricType(parseInt(selectedId))) {
+            fabricTypeEditorSelect.value = selectedId;
         }
+        loadFabricTypeIntoEditor(parseInt(fabricTypeEditorSelect.value));
     }
+}
 
-    return bestSolution;
+function loadFabricTypeIntoEditor(fabricTypeId) {
+    const fabricType = getFabricType(fabricTypeId);
+    document.getElementById('fabric-type-name').value = fabricType ? fabricType.name : '';
+    document.getElementById('fabric-type-colour').value = fabricType ? fabricType.colour : '';
+    document.getElementById('fabric-type-composition').value = fabricType ? fabricType.composition : '';
+    document.getElementById('fabric-type-delete-btn').disabled = !fabricType || state.fabricTypes.length === 1;
 }
 
-// Display calculation results
-function displayResults(solution) {
-    const resultsDiv = document.getElementById('results');
-    
-    // Check if solution uses different fabric widths
-    const usesDifferentWidths = solution.outerFabricWidth !== solution.innerFabricWidth;
-    
-    // Display only in mm
-    const html = `
-        <div class="result-item">
-            <strong>Number of Panels:</strong> ${solution.parts}
+// Save the fabric editor fields over the selected fabric, or as a new fabric
+function saveFabricTypeFromEditor(asNew) {
+    const name = document.getElementById('fabric-type-name').value.trim();
+    const colour = document.getElementById('fabric-type-colour').value.trim();
+    const composition = document.getElementById('fabric-type-composition').value.trim();
+    if (!name) {
+        alert('Please enter a fabric name');
+        return;
+    }
+
+    const fabricTypeEditorSelect = document.getElementById('fabric-type-editor-select');
+    let fabricType = getFabricType(parseInt(fabricTypeEditorSelect.value));
+    if (asNew || !fabricType) {
+        fabricType = { id: state.nextFabricTypeId++, name, colour, composition };
+        state.fabricTypes.push(fabricType);
+    } else {
+        Object.assign(fabricType, { name, colour, composition });
+    }
+    renderFabricTypeOptions();
+    fabricTypeEditorSelect.value = fabricType.id;
+    loadFabricTypeIntoEditor(fabricType.id);
+    renderFabricInventory();
+    renderCurtainList();
+}
+
+// Delete a fabric without catalogue widths - curtains and linings cut from it fall back to the first fabric
+function deleteFabricTypeFromEditor() {
+    const fabricType = getFabricType(parseInt(document.getElementById('fabric-type-editor-select').value));
+    if (!fabricType || state.fabricTypes.length === 1) return;
+    const widthCount = state.fabricCatalogue.filter(entry => entry.fabricTypeId === fabricType.id).length;
+    if (widthCount > 0) {
+        alert(`Remove the ${widthCount} catalogue width${widthCount === 1 ? '' : 's'} of ${getFabricTypeLabel(fabricType)} first`);
+        return;
+    }
+
+    state.fabricTypes = state.fabricTypes.filter(type => type.id !== fabricType.id);
+    state.curtains.forEach(curtain => {
+        ['fabricTypeId', ...LINING_LAYERS.map(layer => `${layer.id}FabricTypeId`)].forEach(key => {
+            if (curtain[key] === fabricType.id) {
+                curtain[key] = state.fabricTypes[0].id;
+            }
+        });
+    });
+    ['curtainFabricTypeId', 'curtainLiningFabricTypeId', 'curtainInterliningFabricTypeId'].forEach(key => {
+        if (state[key] === fabricType.id) {
+            state[key] = state.fabricTypes[0].id;
+        }
+    });
+    renderFabricTypeOptions();
+    renderFabricInventory();
+    renderCurtainList();
+}
+
+// Remnants no project's last calculation cuts from
+function getFreeRemnants() {
+    return state.remnants.filter(remnant => remnant.usedByProjectId === null);
+}
+
+// Remnant list and the form to enter one by hand (fabric choices follow the catalogue)
+function renderRemnants() {
+    const listDiv = document.getElementById('remnant-list');
+    if (!listDiv) return;
+
+    const fabricSelect = document.getElementById('remnant-fabric');
+    const selectedFabric = fabricSelect.value;
+    fabricSelect.innerHTML = state.fabricCatalogue.map(entry =>
+        `<option value="${entry.id}">${escapeHtml(getFabricLabel(entry))}</option>`
+    ).join('');
+    if (state.fabricCatalogue.some(entry => String(entry.id) === selectedFabric)) {
+        fabricSelect.value = selectedFabric;
+    }
+
+    if (state.remnants.length === 0) {
+        listDiv.innerHTML = '<p class="placeholder">No remnants in stock</p>';
+        return;
+    }
+    const projects = loadProjectLibrary();
+    const getProjectName = (id) => {
+        const project = projects.find(p => p.id === id);
+        return project ? project.name : 'a deleted project';
+    };
+    listDiv.innerHTML = state.remnants.map(remnant => {
+        const entry = getFabricEntry(remnant.fabricId);
+        return `
+        <div class="curtain-list-item">
+            <div class="curtain-list-info">
+                <span class="curtain-list-name">#${remnant.id} · ${escapeHtml(entry ? getFabricLabel(entry) : 'Unknown fabric')} · ${remnant.width} × ${remnant.length} mm</span>
+                <span class="curtain-list-size">${escapeHtml(remnant.source)}${remnant.usedByProjectId !== null ? ` · cut in ${escapeHtml(getProjectName(remnant.usedByProjectId))}` : ''}</span>
+            </div>
+            <div class="curtain-list-actions">
+                <button data-action="remove" data-id="${remnant.id}">Remove</button>
+            </div>
+        </div>`;
+    }).join('');
+}
+
+function addRemnantFromForm() {
+    const fabricId = parseInt(document.getElementById('remnant-fabric').value);
+    const width = parseFloat(document.getElementById('remnant-width').value);
+    const length = parseFloat(document.getElementById('remnant-length').value);
+    const entry = getFabricEntry(fabricId);
+    if (!entry || !(width > 0) || !(length > 0) || width > Number(entry.width)) {
+        alert('Please enter the remnant width (at most the fabric width) and length');
+        return;
+    }
+    state.remnants.push({
+        id: state.nextRemnantId++,
+        fabricId: fabricId,
+        width: width,
+        length: length,
+        source: 'Entered by hand',
+        projectId: null,
+        usedByProjectId: null
+    });
+    document.getElementById('remnant-width').value = '';
+    document.getElementById('remnant-length').value = '';
+    renderRemnants();
+}
+
+function removeRemnant(id) {
+    state.remnants = state.remnants.filter(remnant => remnant.id !== id);
+    renderRemnants();
+}
+
+// Before a project is recalculated: the offcuts its last calculation left are dropped (unless another
+// project already cuts from one), the remnants it cut from are free again and the full rolls it
+// took go back into the inventory
+function releaseProjectRemnants(projectId) {
+    if (projectId === null) return; // hand-entered remnants have no project either
+    state.remnants = state.remnants.filter(remnant =>
+        remnant.projectId !== projectId || (remnant.usedByProjectId !== null && remnant.usedByProjectId !== projectId));
+    Object.entries(state.rollsTaken[projectId] || {}).forEach(([fabricId, count]) => {
+        if (getFabricEntry(Number(fabricId))) {
+            state.fabricInventory[fabricId] = (state.fabricInventory[fabricId] || 0) + count;
+        }
+    });
+    delete state.rollsTaken[projectId];
+    state.remnants.forEach(remnant => {
+        if (remnant.usedByProjectId === projectId) {
+            remnant.usedByProjectId = null;
+        }
+    });
+}
+
+/**
+ * Keep the offcuts of a calculation as remnants and reserve the remnants it cuts from
+ * Offcuts are the strip beside each drop (roll width less the cut width, over the drop length)
+ * and the length left after the last drop; only those of the minimum usable size are kept.
+ * Every full roll the calculation cuts from leaves the roll inventory (kept in rollsTaken until the
+ * project is released), so the next project does not count its fabric twice.
+ *
+ * @param {Object} projectResult - Result of solveProject()
+ * @param {number} projectId - Project the calculation belongs to
+ * @returns {Array} The new remnants
+ */
+function registerRemnants(projectResult, projectId) {
+    const { minWidth, minLength } = state.remnantSettings;
+    const projectName = state.projectName || 'Untitled project';
+    const kept = [];
+    const rollsTaken = {};
+    const keep = (roll, width, length, source) => {
+        if (width < minWidth || length < minLength || width <= 0 || length <= 0) return;
+        const remnant = {
+            id: state.nextRemnantId++,
+            fabricId: roll.fabricId,
+            width: Math.round(width * 10) / 10,
+            length: Math.round(length),
+            source: `${projectName}: ${source}`,
+            projectId: projectId,
+            usedByProjectId: null
+        };
+        state.remnants.push(remnant);
+        kept.push(remnant);
+    };
+
+    projectResult.rolls.forEach(roll => {
+        const rollName = getRollName(roll.number, roll.remnantId);
+        if (roll.remnantId) {
+            const used = state.remnants.find(remnant => remnant.id === roll.remnantId);
+            if (used) used.usedByProjectId = projectId;
+        } else if (roll.cuts.length > 0 && state.fabricInventory[roll.fabricId] > 0) {
+            state.fabricInventory[roll.fabricId]--;
+            rollsTaken[roll.fabricId] = (rollsTaken[roll.fabricId] || 0) + 1;
+        }
+        roll.cuts.forEach(cut => {
+            keep(roll, roll.width - cut.cutWidth, cut.cutLength, `beside ${getPanelLabel(cut)} on ${rollName}`);
+        });
+        keep(roll, roll.width, roll.length - roll.used, `end of ${rollName}`);
+    });
+    if (Object.keys(rollsTaken).length > 0) {
+        state.rollsTaken[projectId] = rollsTaken;
+    }
+    return kept;
+}
+
+// Load a curtain into the editor fields (or clear the editor when curtain is null)
+// isEditing is false when the fields are only filled in, e.g. with a restored draft
+function setCurtainEditor(curtain, isEditing = Boolean(curtain)) {
+    state.editingCurtainId = isEditing ? curtain.id : null;
+    state.curtainName = curtain ? curtain.name : '';
+    state.curtainHeight = curtain ? curtain.height : 0;
+    state.curtainWidth = curtain ? curtain.width : 0;
+    state.curtainHeaderAllowance = curtain ? curtain.headerAllowance : DEFAULT_HEADER_ALLOWANCE_MM;
+    state.curtainHemAllowance = curtain ? curtain.hemAllowance : DEFAULT_HEM_ALLOWANCE_MM;
+    state.curtainProfileId = curtain ? getAllowanceProfile(curtain.profileId).id : state.allowanceProfiles[0].id;
+    state.curtainHeadingType = curtain ? curtain.headingType : HEADING_TYPES[0].id;
+    state.curtainFullness = curtain ? curtain.fullness : HEADING_TYPES[0].fullness;
+    // Curtains saved before there were fabrics are cut from any fabric
+    state.curtainFabricTypeId = curtain ? (curtain.fabricTypeId === undefined ? null : curtain.fabricTypeId) : state.fabricTypes[0].id;
+    // ... and are unlined
+    state.curtainLining = curtain && curtain.lining ? curtain.lining : LINING_TYPES[0].id;
+    state.curtainLiningFabricTypeId = curtain && curtain.liningFabricTypeId !== undefined ? curtain.liningFabricTypeId : state.fabricTypes[0].id;
+    state.curtainInterliningFabricTypeId = curtain && curtain.interliningFabricTypeId !== undefined ? curtain.interliningFabricTypeId : state.fabricTypes[0].id;
+    // ... and hang as a single leaf
+    state.curtainLayout = curtain && curtain.layout ? curtain.layout : CURTAIN_LAYOUTS[0].id;
+    state.curtainLeafWidths = curtain && curtain.leafWidths ? [...curtain.leafWidths] : [];
+
+    document.getElementById('curtain-name').value = state.curtainName;
+    document.getElementById('curtain-height').value = state.curtainHeight;
+    document.getElementById('curtain-width').value = state.curtainWidth;
+    document.getElementById('curtain-header-allowance').value = state.curtainHeaderAllowance;
+    document.getElementById('curtain-hem-allowance').value = state.curtainHemAllowance;
+    document.getElementById('curtain-profile').value = state.curtainProfileId;
+    document.getElementById('curtain-heading').value = state.curtainHeadingType;
+    document.getElementById('curtain-fullness').value = state.curtainFullness;
+    document.getElementById('curtain-fabric').value = state.curtainFabricTypeId === null ? '' : state.curtainFabricTypeId;
+    document.getElementById('curtain-lining').value = state.curtainLining;
+    document.getElementById('curtain-lining-fabric').value = state.curtainLiningFabricTypeId === null ? '' : state.curtainLiningFabricTypeId;
+    document.getElementById('curtain-interlining-fabric').value = state.curtainInterliningFabricTypeId === null ? '' : state.curtainInterliningFabricTypeId;
+    updateLiningFabricFields();
+    document.getElementById('curtain-layout').value = state.curtainLayout;
+    document.getElementById('curtain-leaf-widths').value = state.curtainLeafWidths.join(', ');
+    updateLeafWidthsField();
+
+    const addCurtainBtn = document.getElementById('add-curtain-btn');
+    if (addCurtainBtn) {
+        addCurtainBtn.textContent = isEditing ? 'Update Curtain' : 'Add Curtain';
+    }
+    const cancelEditBtn = document.getElementById('cancel-edit-btn');
+    if (cancelEditBtn) {
+        cancelEditBtn.hidden = !isEditing;
+    }
+    renderCurtainList();
+}
+
+// Add the curtain in the editor to the project, or update the curtain being edited
+function saveCurtainFromEditor() {
+    if (state.curtainHeight <= 0 || state.curtainWidth <= 0) {
+        alert('Please enter valid curtain dimensions');
+        return;
+    }
+    if (state.curtainLayout === 'custom') {
+        const leafTotal = state.curtainLeafWidths.reduce((sum, width) => sum + width, 0);
+        if (state.curtainLeafWidths.length === 0 || state.curtainLeafWidths.some(width => !(width > 0))) {
+            alert('Please enter the track width of every leaf, e.g. 1200, 1800');
+            return;
+        }
+        if (!leafWidthsFitTrack(state.curtainLeafWidths, state.curtainWidth)) {
+            alert(`The leaf widths add up to ${leafTotal} mm - they must add up to the ${state.curtainWidth} mm track width`);
+            return;
+        }
+    }
+
+    const existing = state.curtains.find(c => c.id === state.editingCurtainId);
+    if (existing) {
+        Object.assign(existing, getEditorCurtain(existing.id));
+    } else {
+        state.curtains.push(getEditorCurtain(state.nextCurtainId++));
+    }
+    setCurtainEditor(null);
+}
+
+// Curtain built from the editor fields
+function getEditorCurtain(id) {
+    return {
+        id: id,
+        name: state.curtainName || `Curtain ${id}`,
+        height: state.curtainHeight,
+        width: state.curtainWidth,
+        headerAllowance: state.curtainHeaderAllowance,
+        hemAllowance: state.curtainHemAllowance,
+        profileId: state.curtainProfileId,
+        headingType: state.curtainHeadingType,
+        fullness: state.curtainFullness,
+        fabricTypeId: state.curtainFabricTypeId,
+        lining: state.curtainLining,
+        liningFabricTypeId: state.curtainLiningFabricTypeId,
+        interliningFabricTypeId: state.curtainInterliningFabricTypeId,
+        layout: state.curtainLayout,
+        leafWidths: state.curtainLayout === 'custom' ? [...state.curtainLeafWidths] : []
+    };
+}
+
+function editCurtain(id) {
+    const curtain = state.curtains.find(c => c.id === id);
+    if (curtain) {
+        setCurtainEditor(curtain);
+    }
+}
+
+// Insert a copy of the curtain right after the original
+function duplicateCurtain(id) {
+    const index = state.curtains.findIndex(c => c.id === id);
+    if (index === -1) return;
+    const copy = {
+        ...state.curtains[index],
+        id: state.nextCurtainId++,
+        name: `${state.curtains[index].name} (copy)`
+    };
+    state.curtains.splice(index + 1, 0, copy);
+    renderCurtainList();
+}
+
+function removeCurtain(id) {
+    state.curtains = state.curtains.filter(c => c.id !== id);
+    if (state.editingCurtainId === id) {
+        setCurtainEditor(null);
+    } else {
+        renderCurtainList();
+    }
+}
+
+// Escape user-entered text before inserting it into HTML
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function renderCurtainList() {
+    const listDiv = document.getElementById('curtain-list');
+    if (!listDiv) return;
+
+    if (state.curtains.length === 0) {
+        listDiv.innerHTML = '<p class="placeholder">No curtains added yet</p>';
+        return;
+    }
+
+    listDiv.innerHTML = state.curtains.map(curtain => `
+        <div class="curtain-list-item${curtain.id === state.editingCurtainId ? ' editing' : ''}">
+            <div class="curtain-list-info">
+                <span class="curtain-list-name">${escapeHtml(curtain.name)}</span>
+                <span class="curtain-list-size">${curtain.width} × ${curtain.height} mm × ${getFullness(curtain)} fullness (cut drop ${getCutLength(curtain)} mm) · ${escapeHtml(getAllowanceProfile(curtain.profileId).name)} · ${escapeHtml(getCurtainFabricLabel(curtain))}${getCurtainLayers(curtain).length > 0 ? ` · ${escapeHtml(getCurtainLiningLabel(curtain))}` : ''}${getCurtainLeafWidths(curtain).length > 1 ? ` · ${getCurtainLayoutLabel(curtain)}` : ''}</span>
+            </div>
+            <div class="curtain-list-actions">
+                <button data-action="edit" data-id="${curtain.id}" title="Edit">Edit</button>
+                <button data-action="duplicate" data-id="${curtain.id}" title="Duplicate">Duplicate</button>
+                <button data-action="remove" data-id="${curtain.id}" title="Remove">Remove</button>
+            </div>
+        </div>
+    `).join('');
+}
+
+// Split CSV text into rows of cells - quoted cells may hold the delimiter, quotes ("") and line breaks
+// The delimiter is guessed from the first line: spreadsheet exports use ';' where ',' is the decimal mark
+function parseCsv(text) {
+    text = text.replace(/^\ufeff/, '');
+    const firstLine = text.split(/\r?\n/, 1)[0];
+    const delimiter = [',', ';', '\t'].reduce((best, candidate) =>
+        firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best, ',');
+
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+    // Blank lines aren't schedule rows
+    return rows.filter(cells => cells.some(value => value.trim() !== ''));
+}
+
+// Number from a schedule cell, e.g. "2500", "2,500", "2500 mm" or "2500,5" - NaN when it isn't one
+function parseScheduleNumber(text) {
+    let value = String(text).trim().replace(/\s*mm$/i, '').replace(/\s/g, '');
+    if (/^\d{1,3}(,\d{3})+(\.\d+)?$/.test(value)) {
+        value = value.replace(/,/g, ''); // thousands separators
+    } else {
+        value = value.replace(',', '.'); // decimal comma
+    }
+    return value === '' ? NaN : Number(value);
+}
+
+// Read a schedule file and guess the column of every field from the header row
+async function loadCsvSchedule(file) {
+    const rows = parseCsv(await file.text());
+    if (rows.length < 2) {
+        alert(`${file.name} has no curtain rows below the header row.`);
+        return;
+    }
+
+    const headers = rows[0].map(header => header.trim());
+    const mapping = {};
+    const used = new Set();
+    CSV_IMPORT_FIELDS.forEach(field => {
+        const lowerHeaders = headers.map(header => header.toLowerCase());
+        let column = -1;
+        for (const guess of field.guesses) {
+            column = lowerHeaders.findIndex((header, index) => !used.has(index) && (header === guess || header.split(/[^a-z]+/).includes(guess)));
+            if (column !== -1) break;
+        }
+        mapping[field.key] = column;
+        if (column !== -1) used.add(column);
+    });
+
+    state.csvImport = { fileName: file.name, headers, rows: rows.slice(1), mapping };
+    renderCsvImport();
+}
+
+// Curtains from the schedule rows with the current column mapping, each with the problems that block its import
+function getCsvScheduleCurtains() {
+    const { rows, mapping } = state.csvImport;
+    const cellOf = (row, key) => mapping[key] >= 0 ? (row[mapping[key]] || '').trim() : '';
+
+    return rows.map((row, index) => {
+        const errors = [];
+        const room = cellOf(row, 'room');
+        const name = cellOf(row, 'name');
+        const width = parseScheduleNumber(cellOf(row, 'width'));
+        const height = parseScheduleNumber(cellOf(row, 'height'));
+        CSV_IMPORT_FIELDS.filter(field => field.required && mapping[field.key] < 0).forEach(field => {
+            errors.push(`${field.name} column not mapped`);
+        });
+        if (mapping.width >= 0 && !(width > 0)) errors.push('width must be a positive number');
+        if (mapping.height >= 0 && !(height > 0)) errors.push('height must be a positive number');
+
+        return {
+            line: index + 2, // line in the file, after the header row
+            name: [room, name].filter(Boolean).join(' - '),
+            width, height, errors
+        };
+    });
+}
+
+// Column mapping selects and the preview of the schedule being imported
+function renderCsvImport() {
+    const mappingDiv = document.getElementById('csv-import-mapping');
+    const previewDiv = document.getElementById('csv-import-preview');
+    const importBtn = document.getElementById('csv-import-btn');
+    const cancelBtn = document.getElementById('csv-cancel-btn');
+    if (!mappingDiv) return;
+
+    if (!state.csvImport) {
+        mappingDiv.innerHTML = '';
+        previewDiv.innerHTML = '';
+        importBtn.disabled = true;
+        importBtn.textContent = 'Import Curtains';
+        cancelBtn.hidden = true;
+        return;
+    }
+
+    const { headers, mapping } = state.csvImport;
+    mappingDiv.innerHTML = CSV_IMPORT_FIELDS.map(field => `
+        <div class="input-group">
+            <label for="csv-map-${field.key}">${escapeHtml(field.name)}${field.required ? '' : ' (optional)'}</label>
+            <select id="csv-map-${field.key}" data-field="${field.key}">
+                <option value="-1">- Not in the file -</option>
+                ${headers.map((header, index) => `<option value="${index}"${mapping[field.key] === index ? ' selected' : ''}>${escapeHtml(header || `Column ${index + 1}`)}</option>`).join('')}
+            </select>
+        </div>
+    `).join('');
+
+    const curtains = getCsvScheduleCurtains();
+    const validCount = curtains.filter(curtain => curtain.errors.length === 0).length;
+    const rows = curtains.map(curtain => `
+                <tr${curtain.errors.length > 0 ? ' class="invalid-row"' : ''}>
+                    <td>${curtain.line}</td>
+                    <td>${escapeHtml(curtain.name || '-')}</td>
+                    <td>${Number.isNaN(curtain.width) ? '-' : curtain.width}</td>
+                    <td>${Number.isNaN(curtain.height) ? '-' : curtain.height}</td>
+                    <td>${curtain.errors.length > 0 ? escapeHtml(curtain.errors.join(', ')) : 'OK'}</td>
+                </tr>`).join('');
+    previewDiv.innerHTML = `
+        <p class="csv-import-summary">${escapeHtml(state.csvImport.fileName)}: ${validCount} of ${curtains.length} rows can be imported</p>
+        <div class="csv-import-table">
+            <table class="results-table">
+                <thead>
+                    <tr><th>Line</th><th>Curtain</th><th>Width</th><th>Height</th><th>Status</th></tr>
+                </thead>
+                <tbody>${rows}
+                </tbody>
+            </table>
+        </div>
+    `;
+    importBtn.disabled = validCount === 0;
+    importBtn.textContent = `Import ${validCount} Curtain${validCount === 1 ? '' : 's'}`;
+    cancelBtn.hidden = false;
+}
+
+// Add the valid schedule rows to the project - they take the heading, allowances and profile set in the editor
+// and hang as one leaf (the editor's leaf widths belong to its own track width)
+function importCsvSchedule() {
+    if (!state.csvImport) return;
+    getCsvScheduleCurtains()
+        .filter(curtain => curtain.errors.length === 0)
+        .forEach(curtain => {
+            const id = state.nextCurtainId++;
+            state.curtains.push({
+                ...getEditorCurtain(id),
+                name: curtain.name || `Curtain ${id}`,
+                width: curtain.width,
+                height: curtain.height,
+                layout: 'single',
+                leafWidths: []
+            });
+        });
+    state.csvImport = null;
+    renderCsvImport();
+    renderCurtainList();
+}
+
+// Allowance profile by id - falls back to the first profile when the id is unknown (e.g. deleted)
+function getAllowanceProfile(profileId) {
+    return state.allowanceProfiles.find(profile => profile.id === profileId) || state.allowanceProfiles[0];
+}
+
+// Fill the profile dropdowns (curtain editor and profile editor) from state.allowanceProfiles
+function renderProfileOptions() {
+    const options = state.allowanceProfiles.map(profile =>
+        `<option value="${escapeHtml(profile.id)}">${escapeHtml(profile.name)} (${profile.outerEdge} / ${profile.innerEdge} mm)</option>`
+    ).join('');
+
+    const curtainProfileSelect = document.getElementById('curtain-profile');
+    if (curtainProfileSelect) {
+        curtainProfileSelect.innerHTML = options;
+        curtainProfileSelect.value = getAllowanceProfile(state.curtainProfileId).id;
+    }
+
+    const profileEditorSelect = document.getElementById('profile-editor-select');
+    if (profileEditorSelect) {
+        const selectedId = profileEditorSelect.value;
+        profileEditorSelect.innerHTML = options;
+        profileEditorSelect.value = getAllowanceProfile(selectedId).id;
+        loadProfileIntoEditor(profileEditorSelect.value);
+    }
+}
+
+function loadProfileIntoEditor(profileId) {
+    const profile = getAllowanceProfile(profileId);
+    document.getElementById('profile-name').value = profile.name;
+    document.getElementById('profile-outer-edge').value = profile.outerEdge;
+    document.getElementById('profile-inner-edge').value = profile.innerEdge;
+    document.getElementById('profile-delete-btn').disabled = !!profile.builtIn;
+}
+
+// Save the profile editor fields over the selected profile, or as a new profile
+function saveProfileFromEditor(asNew) {
+    const name = document.getElementById('profile-name').value.trim();
+    const outerEdge = parseFloat(document.getElementById('profile-outer-edge').value);
+    const innerEdge = parseFloat(document.getElementById('profile-inner-edge').value);
+    if (!name || !(outerEdge >= 0) || !(innerEdge >= 0)) {
+        alert('Please enter a profile name and non-negative allowances');
+        return;
+    }
+
+    const profileEditorSelect = document.getElementById('profile-editor-select');
+    let profile;
+    if (asNew) {
+        profile = { id: `custom-${Date.now()}`, name, outerEdge, innerEdge, builtIn: false };
+        state.allowanceProfiles.push(profile);
+    } else {
+        profile = getAllowanceProfile(profileEditorSelect.value);
+        Object.assign(profile, { name, outerEdge, innerEdge });
+    }
+    renderProfileOptions();
+    profileEditorSelect.value = profile.id;
+    loadProfileIntoEditor(profile.id);
+    renderCurtainList();
+}
+
+// Delete a user profile - curtains that used it fall back to the first profile
+function deleteProfileFromEditor() {
+    const profileEditorSelect = document.getElementById('profile-editor-select');
+    const profile = getAllowanceProfile(profileEditorSelect.value);
+    if (profile.builtIn) return;
+
+    state.allowanceProfiles = state.allowanceProfiles.filter(p => p.id !== profile.id);
+    state.curtains.forEach(curtain => {
+        if (curtain.profileId === profile.id) {
+            curtain.profileId = state.allowanceProfiles[0].id;
+        }
+    });
+    if (state.curtainProfileId === profile.id) {
+        state.curtainProfileId = state.allowanceProfiles[0].id;
+    }
+    renderProfileOptions();
+    renderCurtainList();
+}
+
+// Fill the heading type dropdown from HEADING_TYPES
+function renderHeadingOptions() {
+    const headingSelect = document.getElementById('curtain-heading');
+    if (!headingSelect) return;
+    headingSelect.innerHTML = HEADING_TYPES.map(heading =>
+        `<option value="${heading.id}">${heading.name} (${heading.fullness.toFixed(1)}×)</option>`
+    ).join('');
+    headingSelect.value = state.curtainHeadingType;
+}
+
+// Fill the lining dropdown from LINING_TYPES
+function renderLiningOptions() {
+    const liningSelect = document.getElementById('curtain-lining');
+    if (!liningSelect) return;
+    liningSelect.innerHTML = LINING_TYPES.map(type =>
+        `<option value="${type.id}">${type.name}</option>`
+    ).join('');
+    liningSelect.value = state.curtainLining;
+    updateLiningFabricFields();
+}
+
+// Show the fabric choice of the layers the editor curtain has
+function updateLiningFabricFields() {
+    const layers = getCurtainLayers({ lining: state.curtainLining });
+    LINING_LAYERS.forEach(layer => {
+        const group = document.getElementById(`curtain-${layer.id}-fabric-group`);
+        if (group) {
+            group.hidden = !layers.includes(layer);
+        }
+    });
+}
+
+// Fill the layout dropdown from CURTAIN_LAYOUTS
+function renderLayoutOptions() {
+    const layoutSelect = document.getElementById('curtain-layout');
+    if (!layoutSelect) return;
+    layoutSelect.innerHTML = CURTAIN_LAYOUTS.map(layout =>
+        `<option value="${layout.id}">${layout.name}</option>`
+    ).join('');
+    layoutSelect.value = state.curtainLayout;
+    updateLeafWidthsField();
+}
+
+// Show the leaf widths field for a custom layout
+function updateLeafWidthsField() {
+    const group = document.getElementById('curtain-leaf-widths-group');
+    if (group) {
+        group.hidden = state.curtainLayout !== 'custom';
+    }
+}
+
+// Lining allowance inputs from state.liningAllowances
+function renderLiningAllowances() {
+    LINING_LAYERS.forEach(layer => {
+        Object.keys(DEFAULT_LINING_ALLOWANCES[layer.id]).forEach(key => {
+            const input = document.getElementById(`${layer.id}-allowance-${key}`);
+            if (input) {
+                input.value = state.liningAllowances[layer.id][key];
+            }
+        });
+    });
+}
+
+function getHeadingName(headingType) {
+    const heading = HEADING_TYPES.find(h => h.id === headingType);
+    return heading ? heading.name : HEADING_TYPES[0].name;
+}
+
+// Fullness (gathering ratio) of a curtain - 1 for flat panels
+function getFullness(curtain) {
+    return Number(curtain.fullness) || 1;
+}
+
+// Flat fabric width a curtain needs: track / rail width × fullness (in mm)
+function getFlatWidth(curtain) {
+    return Number(curtain.width) * getFullness(curtain);
+}
+
+// Cut drop of a curtain: finished height plus the heading and hem allowances (in mm)
+function getCutLength(curtain) {
+    return Number(curtain.height) + Number(curtain.headerAllowance || 0) + Number(curtain.hemAllowance || 0);
+}
+
+// Fill the objective selector
+function renderObjectiveOptions() {
+    const select = document.getElementById('objective');
+    if (!select) return;
+    select.innerHTML = OPTIMIZATION_OBJECTIVES.map(objective =>
+        `<option value="${objective.id}">${escapeHtml(objective.name)}</option>`
+    ).join('');
+    select.value = state.objective;
+}
+
+// Constraints a plan breaks, as readable reasons - empty when the plan is allowed
+function getConstraintViolations(plan, constraints) {
+    const reasons = [];
+    if (constraints.maxSeams !== null && plan.seams > constraints.maxSeams) {
+        reasons.push(`more than ${constraints.maxSeams} seam${constraints.maxSeams === 1 ? '' : 's'}`);
+    }
+    if (constraints.minPanels !== null && plan.parts < constraints.minPanels) {
+        reasons.push(`fewer than ${constraints.minPanels} panels`);
+    }
+    if (constraints.maxPanels !== null && plan.parts > constraints.maxPanels) {
+        reasons.push(`more than ${constraints.maxPanels} panels`);
+    }
+    if (constraints.maxNetPanelWidth !== null && plan.netWidth > constraints.maxNetPanelWidth) {
+        reasons.push(`net panel width over ${constraints.maxNetPanelWidth} mm`);
+    }
+    if (constraints.sameWidth && plan.outerFabricWidth !== plan.innerFabricWidth) {
+        reasons.push('outer and inner fabric widths differ');
+    }
+    return reasons;
+}
+
+// Order two plans by the chosen objective - lower is better
+function comparePlans(a, b, objective) {
+    const byWaste = a.rankWaste - b.rankWaste;
+    const byRolls = a.newRolls - b.newRolls || a.rollsUsed - b.rollsUsed;
+    const bySeams = a.seams - b.seams;
+    switch (objective) {
+        case 'fewest-rolls':
+            return byRolls || byWaste || bySeams;
+        case 'fewest-seams':
+            return bySeams || byWaste || byRolls;
+        case 'lowest-cost':
+            return a.fabricCost - b.fabricCost || byWaste || byRolls || bySeams;
+        case 'single-width': {
+            const widthsA = a.outerFabricWidth === a.innerFabricWidth ? 1 : 2;
+            const widthsB = b.outerFabricWidth === b.innerFabricWidth ? 1 : 2;
+            return widthsA - widthsB || byWaste || byRolls || bySeams;
+        }
+        default:
+            return byWaste || a.rollsUsed - b.rollsUsed || bySeams;
+    }
+}
+
+// Saved data of the open project - the curtains, the editor draft and the plan settings
+function getProjectSnapshot() {
+    return {
+        version: STORAGE_VERSION,
+        name: state.projectName,
+        client: state.projectClient,
+        revision: state.projectRevision,
+        curtains: state.curtains,
+        nextCurtainId: state.nextCurtainId,
+        editor: {
+            ...getEditorCurtain(state.editingCurtainId),
+            name: state.curtainName
+        },
+        objective: state.objective,
+        constraints: state.constraints
+    };
+}
+
+// Saved data shared by all projects - the fabric stock and remnants, allowance profiles, quote and job pack settings
+function getWorkshopSnapshot() {
+    return {
+        version: STORAGE_VERSION,
+        fabricTypes: state.fabricTypes,
+        nextFabricTypeId: state.nextFabricTypeId,
+        fabricCatalogue: state.fabricCatalogue,
+        nextFabricId: state.nextFabricId,
+        fabricInventory: state.fabricInventory,
+        remnants: state.remnants,
+        nextRemnantId: state.nextRemnantId,
+        rollsTaken: state.rollsTaken,
+        remnantSettings: state.remnantSettings,
+        liningAllowances: state.liningAllowances,
+        allowanceProfiles: state.allowanceProfiles,
+        costSettings: state.costSettings,
+        jobPackSettings: state.jobPackSettings
+    };
+}
+
+// Load a project snapshot into state and the inputs
+function applyProjectSnapshot(data) {
+    state.projectName = data.name || '';
+    state.projectClient = data.client || '';
+    state.projectRevision = data.revision || '';
+    state.curtains = data.curtains.map(curtain => ({ ...curtain }));
+    state.nextCurtainId = data.nextCurtainId;
+    state.objective = data.objective;
+    state.constraints = { ...data.constraints };
+
+    document.getElementById('project-name').value = state.projectName;
+    document.getElementById('project-client').value = state.projectClient;
+    document.getElementById('project-revision').value = state.projectRevision;
+    const editor = data.editor;
+    setCurtainEditor(editor, Boolean(editor) && state.curtains.some(curtain => curtain.id === editor.id));
+    renderObjectiveOptions();
+    [
+        ['constraint-max-seams', 'maxSeams'],
+        ['constraint-min-panels', 'minPanels'],
+        ['constraint-max-panels', 'maxPanels'],
+        ['constraint-max-net-width', 'maxNetPanelWidth']
+    ].forEach(([inputId, key]) => {
+        document.getElementById(inputId).value = state.constraints[key] === null ? '' : state.constraints[key];
+    });
+    document.getElementById('constraint-same-width').checked = state.constraints.sameWidth;
+    clearResults();
+}
+
+// Load a workshop snapshot into state and the inputs
+function applyWorkshopSnapshot(data) {
+    // Saved before the catalogue had fabrics - every width belongs to the default fabric
+    state.fabricTypes = (data.fabricTypes || DEFAULT_FABRIC_TYPES).map(fabricType => ({ ...fabricType }));
+    state.nextFabricTypeId = data.nextFabricTypeId || state.fabricTypes.length + 1;
+    state.fabricCatalogue = data.fabricCatalogue.map(entry => ({ fabricTypeId: DEFAULT_FABRIC_TYPES[0].id, ...entry }));
+    state.nextFabricId = data.nextFabricId;
+    state.fabricInventory = { ...data.fabricInventory };
+    // Saved before there was a remnant inventory - start without remnants
+    state.remnants = (data.remnants || []).map(remnant => ({ ...remnant }));
+    state.nextRemnantId = data.nextRemnantId || 1;
+    state.rollsTaken = Object.fromEntries(Object.entries(data.rollsTaken || {}).map(([projectId, taken]) => [projectId, { ...taken }]));
+    state.remnantSettings = { ...DEFAULT_REMNANT_SETTINGS, ...data.remnantSettings };
+    // Saved before curtains could be lined - start from the default lining allowances
+    state.liningAllowances = Object.fromEntries(LINING_LAYERS.map(layer => [
+        layer.id,
+        { ...DEFAULT_LINING_ALLOWANCES[layer.id], ...(data.liningAllowances || {})[layer.id] }
+    ]));
+    state.allowanceProfiles = data.allowanceProfiles.map(profile => ({ ...profile }));
+    state.costSettings = { ...data.costSettings };
+    // Saved before the job pack had settings - start from the defaults
+    state.jobPackSettings = { ...DEFAULT_JOB_PACK_SETTINGS, ...data.jobPackSettings };
+
+    setFabricEditor(null);
+    renderFabricTypeOptions();
+    renderProfileOptions();
+    document.getElementById('remnant-min-width').value = state.remnantSettings.minWidth;
+    document.getElementById('remnant-min-length').value = state.remnantSettings.minLength;
+    renderLiningAllowances();
+    document.getElementById('cost-currency').value = state.costSettings.currency;
+    document.getElementById('cost-vat-rate').value = state.costSettings.vatRate;
+    document.getElementById('cost-labour-panel').value = state.costSettings.labourPerPanel;
+    document.getElementById('cost-labour-seam').value = state.costSettings.labourPerSeam;
+    document.getElementById('cost-labour-hem').value = state.costSettings.labourPerHemMetre;
+    document.getElementById('job-pack-page-size').value = state.jobPackSettings.pageSize;
+    document.getElementById('job-pack-orientation').value = state.jobPackSettings.orientation;
+    renderJobPackLogo();
+}
+
+// Results of the last calculation belong to the project they were calculated for
+function clearResults() {
+    state.projectResult = null;
+    state.diagramSVG = null;
+    state.diagramSolution = null;
+    state.cutSheetDone.clear();
+    document.getElementById('cut-sheet-container').hidden = true;
+    document.getElementById('results').innerHTML = '<p class="placeholder">Enter dimensions and fabric inventory to see results</p>';
+    document.getElementById('diagram-container').innerHTML = '';
+    setExportsEnabled(false);
+}
+
+// Read a JSON value from localStorage - null when missing, unreadable or storage is blocked
+function readStorage(key) {
+    try {
+        const json = localStorage.getItem(key);
+        return json === null ? null : JSON.parse(json);
+    } catch (error) {
+        console.warn(`Could not read ${key} from local storage:`, error);
+        return null;
+    }
+}
+
+function writeStorage(key, value) {
+    try {
+        localStorage.setItem(key, JSON.stringify(value));
+        return true;
+    } catch (error) {
+        console.warn(`Could not write ${key} to local storage:`, error);
+        return false;
+    }
+}
+
+// Saved projects: [{ id, name, updatedAt, data }] - data is a project snapshot
+function loadProjectLibrary() {
+    const projects = readStorage(STORAGE_KEYS.projects);
+    return Array.isArray(projects) ? projects : [];
+}
+
+function saveProjectLibrary(projects) {
+    writeStorage(STORAGE_KEYS.projects, projects);
+    renderProjectLibrary();
+}
+
+// Id for a new library entry - counted on from the last one handed out, so the id of a deleted
+// project (still named on remnants and taken rolls) is never reused. Libraries saved before the counter start after their ids.
+function takeNextProjectId(projects) {
+    const id = Math.max(Number(readStorage(STORAGE_KEYS.nextProjectId)) || 1,
+        ...projects.map(project => project.id + 1),
+        ...state.remnants.map(remnant => Math.max(remnant.projectId || 0, remnant.usedByProjectId || 0) + 1),
+        ...Object.keys(state.rollsTaken).map(projectId => Number(projectId) + 1));
+    writeStorage(STORAGE_KEYS.nextProjectId, id + 1);
+    return id;
+}
+
+// Save the stock and the open project (a new project gets its library entry on the first save)
+function saveCurrentProject() {
+    clearTimeout(state.autosaveTimer);
+    writeStorage(STORAGE_KEYS.workshop, getWorkshopSnapshot());
+
+    const projects = loadProjectLibrary();
+    const data = getProjectSnapshot();
+    let entry = projects.find(project => project.id === state.currentProjectId);
+    if (entry && JSON.stringify(entry.data) === JSON.stringify(data)) return;
+    // A new project stays out of the library until something is entered
+    if (!entry && !state.projectName && state.curtains.length === 0 && !(state.curtainHeight > 0 || state.curtainWidth > 0)) return;
+    if (!entry) {
+        entry = { id: takeNextProjectId(projects) };
+        projects.push(entry);
+        state.currentProjectId = entry.id;
+        writeStorage(STORAGE_KEYS.currentProjectId, entry.id);
+    }
+    Object.assign(entry, {
+        name: state.projectName || 'Untitled project',
+        updatedAt: new Date().toISOString(),
+        data: data
+    });
+    saveProjectLibrary(projects);
+}
+
+function scheduleAutosave() {
+    clearTimeout(state.autosaveTimer);
+    state.autosaveTimer = setTimeout(saveCurrentProject, AUTOSAVE_DELAY_MS);
+}
+
+// Restore the stock and the project that was open when the page was last used
+function restoreLastSession() {
+    const workshop = readStorage(STORAGE_KEYS.workshop);
+    if (workshop) {
+        applyWorkshopSnapshot(workshop);
+    }
+
+    const currentId = readStorage(STORAGE_KEYS.currentProjectId);
+    const entry = loadProjectLibrary().find(project => project.id === currentId);
+    if (entry) {
+        state.currentProjectId = entry.id;
+        applyProjectSnapshot(entry.data);
+    }
+    renderProjectLibrary();
+}
+
+// Start an empty project - it joins the library when it is first saved
+function startNewProject() {
+    state.currentProjectId = null;
+    writeStorage(STORAGE_KEYS.currentProjectId, null);
+    applyProjectSnapshot({
+        version: STORAGE_VERSION,
+        name: '',
+        client: '',
+        revision: '',
+        curtains: [],
+        nextCurtainId: 1,
+        editor: null,
+        objective: OPTIMIZATION_OBJECTIVES[0].id,
+        constraints: { maxSeams: null, minPanels: null, maxPanels: null, maxNetPanelWidth: null, sameWidth: false }
+    });
+    renderProjectLibrary();
+}
+
+function openProject(id) {
+    const entry = loadProjectLibrary().find(project => project.id === id);
+    if (!entry) return;
+    saveCurrentProject();
+    state.currentProjectId = entry.id;
+    writeStorage(STORAGE_KEYS.currentProjectId, entry.id);
+    applyProjectSnapshot(entry.data);
+    renderProjectLibrary();
+}
+
+function renameProject(id) {
+    const projects = loadProjectLibrary();
+    const entry = projects.find(project => project.id === id);
+    if (!entry) return;
+    const name = prompt('Project name', entry.name);
+    if (name === null || !name.trim()) return;
+
+    entry.name = name.trim();
+    entry.data.name = entry.name;
+    saveProjectLibrary(projects);
+    if (id === state.currentProjectId) {
+        state.projectName = entry.name;
+        document.getElementById('project-name').value = entry.name;
+    }
+}
+
+function duplicateProject(id) {
+    saveCurrentProject();
+    const projects = loadProjectLibrary();
+    const entry = projects.find(project => project.id === id);
+    if (!entry) return;
+    const name = `${entry.name} (copy)`;
+    projects.push({
+        id: takeNextProjectId(projects),
+        name: name,
+        updatedAt: new Date().toISOString(),
+        data: { ...entry.data, name: name }
+    });
+    saveProjectLibrary(projects);
+}
+
+function deleteProject(id) {
+    const projects = loadProjectLibrary();
+    const entry = projects.find(project => project.id === id);
+    if (!entry || !confirm(`Delete the project "${entry.name}"?`)) return;
+
+    saveProjectLibrary(projects.filter(project => project.id !== id));
+    // Its offcuts go and the remnants it cut from are free again
+    releaseProjectRemnants(id);
+    writeStorage(STORAGE_KEYS.workshop, getWorkshopSnapshot());
+    renderFabricInventory();
+    if (id === state.currentProjectId) {
+        startNewProject();
+    }
+}
+
+function renderProjectLibrary() {
+    const libraryDiv = document.getElementById('project-library');
+    if (!libraryDiv) return;
+
+    const projects = loadProjectLibrary().sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    if (projects.length === 0) {
+        libraryDiv.innerHTML = '<p class="placeholder">No saved projects yet</p>';
+        return;
+    }
+
+    libraryDiv.innerHTML = projects.map(project => `
+        <div class="curtain-list-item${project.id === state.currentProjectId ? ' editing' : ''}">
+            <div class="curtain-list-info">
+                <span class="curtain-list-name">${escapeHtml(project.name)}</span>
+                <span class="curtain-list-size">${project.data.curtains.length} curtains · saved ${new Date(project.updatedAt).toLocaleString()}</span>
+            </div>
+            <div class="curtain-list-actions">
+                ${project.id === state.currentProjectId ? '' : `<button data-action="open" data-id="${project.id}">Open</button>`}
+                <button data-action="rename" data-id="${project.id}">Rename</button>
+                <button data-action="duplicate" data-id="${project.id}">Duplicate</button>
+                <button data-action="delete" data-id="${project.id}">Delete</button>
+            </div>
+        </div>
+    `).join('');
+}
+
+// Field types of the project file - see validateValue()
+const CURTAIN_SCHEMA = {
+    type: 'object',
+    fields: {
+        id: { type: 'number', integer: true, min: 1 },
+        name: { type: 'string' },
+        height: { type: 'number', min: 1 },
+        width: { type: 'number', min: 1 },
+        headerAllowance: { type: 'number', min: 0 },
+        hemAllowance: { type: 'number', min: 0 },
+        profileId: { type: 'string' },
+        headingType: { type: 'enum', values: HEADING_TYPES.map(heading => heading.id) },
+        fullness: { type: 'number', min: 1 },
+        fabricTypeId: { type: 'number', integer: true, nullable: true, optional: true },
+        lining: { type: 'enum', values: LINING_TYPES.map(type => type.id), optional: true },
+        liningFabricTypeId: { type: 'number', integer: true, nullable: true, optional: true },
+        interliningFabricTypeId: { type: 'number', integer: true, nullable: true, optional: true },
+        layout: { type: 'enum', values: CURTAIN_LAYOUTS.map(layout => layout.id), optional: true },
+        leafWidths: { type: 'array', optional: true, items: { type: 'number', min: 1 } }
+    }
+};
+
+const CUT_SCHEMA = {
+    type: 'object',
+    fields: {
+        curtainId: { type: 'number', integer: true },
+        curtainName: { type: 'string' },
+        panelIndex: { type: 'number', integer: true, min: 0 },
+        role: { type: 'enum', values: ['outer', 'inner', 'railroaded'] },
+        fabricId: { type: 'number', integer: true },
+        fabricWidth: { type: 'number', min: 1 },
+        fabricLabel: { type: 'string' },
+        cutWidth: { type: 'number', min: 0 },
+        cutLength: { type: 'number', min: 0 },
+        rollId: { type: 'string' },
+        rollNumber: { type: 'number', integer: true, min: 1 },
+        remnantId: { type: 'number', integer: true, nullable: true, optional: true },
+        layer: { type: 'enum', values: ['face', ...LINING_LAYERS.map(layer => layer.id)], optional: true },
+        leafIndex: { type: 'number', integer: true, min: 0, optional: true },
+        offset: { type: 'number', min: 0 }
+    }
+};
+
+// Lining layer of a solution - see planLiningLayer()
+const LINING_LAYER_SCHEMA = {
+    type: 'object',
+    fields: {
+        id: { type: 'enum', values: LINING_LAYERS.map(layer => layer.id) },
+        name: { type: 'string' },
+        outerFabricId: { type: 'number', integer: true },
+        innerFabricId: { type: 'number', integer: true },
+        outerFabricWidth: { type: 'number', min: 1 },
+        innerFabricWidth: { type: 'number', min: 1 },
+        fabricLabel: { type: 'string' },
+        outerPanelWidth: { type: 'number', min: 0 },
+        innerPanelWidth: { type: 'number', min: 0 },
+        cutLength: { type: 'number', min: 0 },
+        outerDropLength: { type: 'number', min: 0 },
+        innerDropLength: { type: 'number', min: 0 },
+        railroaded: { type: 'boolean' },
+        outerEdgeAllowance: { type: 'number', min: 0 },
+        innerEdgeAllowance: { type: 'number', min: 0 },
+        headerAllowance: { type: 'number', min: 0 },
+        hemAllowance: { type: 'number', min: 0 },
+        waste: { type: 'number' },
+        wasteArea: { type: 'number' },
+        fabricCost: { type: 'number', min: 0 }
+    }
+};
+
+// Leaf of a solution for a curtain of several leaves - the plan of the leaf, see combineLeafPlans()
+const LEAF_SCHEMA = {
+    type: 'object',
+    fields: {
+        outerFabricId: { type: 'number', integer: true },
+        innerFabricId: { type: 'number', integer: true },
+        outerFabricWidth: { type: 'number', min: 1 },
+        innerFabricWidth: { type: 'number', min: 1 },
+        parts: { type: 'number', integer: true, min: 1 },
+        netWidth: { type: 'number', min: 0 },
+        outerPanelWidth: { type: 'number', min: 0 },
+        innerPanelWidth: { type: 'number', min: 0 },
+        cutLength: { type: 'number', min: 0 },
+        railroadLength: { type: 'number', min: 0, optional: true },
+        outerDropLength: { type: 'number', min: 0 },
+        innerDropLength: { type: 'number', min: 0 },
+        trackWidth: { type: 'number', min: 0 },
+        flatWidth: { type: 'number', min: 0 },
+        outerEdgeAllowance: { type: 'number', min: 0 },
+        innerEdgeAllowance: { type: 'number', min: 0 },
+        waste: { type: 'number' },
+        seams: { type: 'number', integer: true, min: 0 },
+        railroaded: { type: 'boolean' },
+        layers: { type: 'array', items: LINING_LAYER_SCHEMA }
+    }
+};
+
+// Chosen solution of a curtain - the fields built in findOptimalSolution() and assignPanelsToRolls(),
+// with the curtain replaced by its id
+const SOLUTION_SCHEMA = {
+    type: 'object',
+    fields: {
+        curtainId: { type: 'number', integer: true },
+        outerFabricId: { type: 'number', integer: true },
+        innerFabricId: { type: 'number', integer: true },
+        outerFabricWidth: { type: 'number', min: 1 },
+        innerFabricWidth: { type: 'number', min: 1 },
+        outerFabricLabel: { type: 'string' },
+        innerFabricLabel: { type: 'string' },
+        parts: { type: 'number', integer: true, min: 1 },
+        netWidth: { type: 'number', min: 0 },
+        outerPanelWidth: { type: 'number', min: 0 },
+        innerPanelWidth: { type: 'number', min: 0 },
+        cutLength: { type: 'number', min: 0 },
+        railroadLength: { type: 'number', min: 0, optional: true },
+        outerDropLength: { type: 'number', min: 0 },
+        innerDropLength: { type: 'number', min: 0 },
+        outerMatchWidth: { type: 'number', min: 0 },
+        innerMatchWidth: { type: 'number', min: 0 },
+        patternMatchArea: { type: 'number', min: 0 },
+        trackWidth: { type: 'number', min: 0 },
+        fullness: { type: 'number', min: 1 },
+        flatWidth: { type: 'number', min: 0 },
+        headerAllowance: { type: 'number', min: 0 },
+        hemAllowance: { type: 'number', min: 0 },
+        profileName: { type: 'string' },
+        outerEdgeAllowance: { type: 'number', min: 0 },
+        innerEdgeAllowance: { type: 'number', min: 0 },
+        fabricCost: { type: 'number', min: 0 },
+        waste: { type: 'number' },
+        wasteArea: { type: 'number' },
+        outerPanelsPerRoll: { type: 'number', integer: true, min: 0 },
+        innerPanelsPerRoll: { type: 'number', integer: true, min: 0 },
+        seams: { type: 'number', integer: true, min: 0 },
+        railroaded: { type: 'boolean' },
+        rollsUsed: { type: 'number', integer: true, min: 0 },
+        newRolls: { type: 'number', integer: true, min: 0 },
+        remnantsUsed: { type: 'number', integer: true, min: 0, optional: true },
+        layers: { type: 'array', optional: true, items: LINING_LAYER_SCHEMA },
+        leaves: { type: 'array', optional: true, items: LEAF_SCHEMA },
+        rankWaste: { type: 'number' },
+        outerRollsNeeded: { type: 'number', integer: true, min: 0 },
+        innerRollsNeeded: { type: 'number', integer: true, min: 0 },
+        cuts: { type: 'array', items: CUT_SCHEMA }
+    }
+};
+
+const PROJECT_FILE_SCHEMA = {
+    type: 'object',
+    fields: {
+        version: { type: 'number', integer: true, min: PROJECT_FILE_VERSION, max: PROJECT_FILE_VERSION },
+        exportedAt: { type: 'string', optional: true },
+        project: {
+            type: 'object',
+            fields: {
+                name: { type: 'string' },
+                client: { type: 'string', optional: true },
+                revision: { type: 'string', optional: true },
+                curtains: { type: 'array', items: CURTAIN_SCHEMA },
+                nextCurtainId: { type: 'number', integer: true, min: 1 },
+                // Draft in the curtain editor - id is null when it isn't a curtain being edited
+                editor: {
+                    type: 'object',
+                    nullable: true,
+                    fields: {
+                        ...CURTAIN_SCHEMA.fields,
+                        id: { type: 'number', integer: true, nullable: true },
+                        height: { type: 'number', min: 0 },
+                        width: { type: 'number', min: 0 }
+                    }
+                },
+                objective: { type: 'enum', values: OPTIMIZATION_OBJECTIVES.map(objective => objective.id) },
+                constraints: {
+                    type: 'object',
+                    fields: {
+                        maxSeams: { type: 'number', integer: true, min: 0, nullable: true },
+                        minPanels: { type: 'number', integer: true, min: 1, nullable: true },
+                        maxPanels: { type: 'number', integer: true, min: 1, nullable: true },
+                        maxNetPanelWidth: { type: 'number', min: 1, nullable: true },
+                        sameWidth: { type: 'boolean' }
+                    }
+                }
+            }
+        },
+        // null in a file migrated from a bare project snapshot - the current stock is kept
+        workshop: {
+            type: 'object',
+            nullable: true,
+            fields: {
+                fabricTypes: {
+                    type: 'array',
+                    optional: true,
+                    items: {
+                        type: 'object',
+                        fields: {
+                            id: { type: 'number', integer: true, min: 1 },
+                            name: { type: 'string' },
+                            colour: { type: 'string' },
+                            composition: { type: 'string' }
+                        }
+                    }
+                },
+                nextFabricTypeId: { type: 'number', integer: true, min: 1, optional: true },
+                fabricCatalogue: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        fields: {
+                            id: { type: 'number', integer: true, min: 1 },
+                            fabricTypeId: { type: 'number', integer: true, optional: true },
+                            width: { type: 'number', min: 1 },
+                            name: { type: 'string' },
+                            rollLength: { type: 'number', min: 1 },
+                            pricePerMetre: { type: 'number', min: 0 },
+                            pricePerRoll: { type: 'number', min: 0 },
+                            verticalRepeat: { type: 'number', min: 0 },
+                            horizontalRepeat: { type: 'number', min: 0 }
+                        }
+                    }
+                },
+                nextFabricId: { type: 'number', integer: true, min: 1 },
+                fabricInventory: { type: 'map', values: { type: 'number', integer: true, min: 0 } },
+                remnants: {
+                    type: 'array',
+                    optional: true,
+                    items: {
+                        type: 'object',
+                        fields: {
+                            id: { type: 'number', integer: true, min: 1 },
+                            fabricId: { type: 'number', integer: true },
+                            width: { type: 'number', min: 1 },
+                            length: { type: 'number', min: 1 },
+                            source: { type: 'string' },
+                            projectId: { type: 'number', integer: true, nullable: true },
+                            usedByProjectId: { type: 'number', integer: true, nullable: true }
+                        }
+                    }
+                },
+                nextRemnantId: { type: 'number', integer: true, min: 1, optional: true },
+                rollsTaken: {
+                    type: 'map',
+                    optional: true,
+                    values: { type: 'map', values: { type: 'number', integer: true, min: 1 } }
+                },
+                liningAllowances: {
+                    type: 'map',
+                    optional: true,
+                    values: {
+                        type: 'object',
+                        fields: {
+                            outerEdge: { type: 'number', min: 0 },
+                            innerEdge: { type: 'number', min: 0 },
+                            headerAllowance: { type: 'number', min: 0 },
+                            hemAllowance: { type: 'number', min: 0 }
+                        }
+                    }
+                },
+                remnantSettings: {
+                    type: 'object',
+                    optional: true,
+                    fields: {
+                        minWidth: { type: 'number', min: 0 },
+                        minLength: { type: 'number', min: 0 }
+                    }
+                },
+                allowanceProfiles: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        fields: {
+                            id: { type: 'string' },
+                            name: { type: 'string' },
+                            outerEdge: { type: 'number', min: 0 },
+                            innerEdge: { type: 'number', min: 0 },
+                            builtIn: { type: 'boolean', optional: true }
+                        }
+                    }
+                },
+                costSettings: {
+                    type: 'object',
+                    fields: {
+                        currency: { type: 'string' },
+                        vatRate: { type: 'number', min: 0 },
+                        labourPerPanel: { type: 'number', min: 0 },
+                        labourPerSeam: { type: 'number', min: 0 },
+                        labourPerHemMetre: { type: 'number', min: 0 }
+                    }
+                },
+                jobPackSettings: {
+                    type: 'object',
+                    optional: true,
+                    fields: {
+                        pageSize: { type: 'enum', values: JOB_PACK_PAGE_SIZES.map(size => size.id) },
+                        orientation: { type: 'enum', values: ['portrait', 'landscape'] },
+                        logo: { type: 'string', nullable: true }
+                    }
+                }
+            }
+        },
+        solutions: { type: 'array', items: SOLUTION_SCHEMA }
+    }
+};
+
+// Upgrades of older project files - each one takes a file of its version to the next version
+const PROJECT_FILE_MIGRATIONS = {
+    // Bare project snapshot of the project library -> project with the stock and the solutions
+    1: (data) => {
+        const { version, ...project } = data;
+        return { version: 2, project: project, workshop: null, solutions: [] };
+    }
+};
+
+/**
+ * Check a value against a PROJECT_FILE_SCHEMA node
+ * Every problem is reported with the path of the field, e.g. "project.curtains[1].height: must be at least 1"
+ *
+ * @param {*} value - Value to check
+ * @param {Object} schema - { type: 'string' | 'number' | 'boolean' | 'enum' | 'object' | 'array' | 'map', ... }
+ * @param {string} path - Path of the value in the file
+ * @param {Array} errors - Collects the error messages
+ */
+function validateValue(value, schema, path, errors) {
+    if (value === undefined) {
+        if (!schema.optional) errors.push(`${path}: is missing`);
+        return;
+    }
+    if (value === null) {
+        if (!schema.nullable) errors.push(`${path}: must not be empty`);
+        return;
+    }
+
+    switch (schema.type) {
+        case 'string':
+        case 'boolean':
+            if (typeof value !== schema.type) errors.push(`${path}: must be a ${schema.type}`);
+            break;
+        case 'number':
+            if (typeof value !== 'number' || !Number.isFinite(value)) {
+                errors.push(`${path}: must be a number`);
+            } else if (schema.integer && !Number.isInteger(value)) {
+                errors.push(`${path}: must be a whole number`);
+            } else if (schema.min !== undefined && value < schema.min) {
+                errors.push(`${path}: must be at least ${schema.min}`);
+            } else if (schema.max !== undefined && value > schema.max) {
+                errors.push(`${path}: must be at most ${schema.max}`);
+            }
+            break;
+        case 'enum':
+            if (!schema.values.includes(value)) errors.push(`${path}: must be one of ${schema.values.join(', ')}`);
+            break;
+        case 'array':
+            if (!Array.isArray(value)) {
+                errors.push(`${path}: must be a list`);
+            } else {
+                value.forEach((item, index) => validateValue(item, schema.items, `${path}[${index}]`, errors));
+            }
+            break;
+        case 'map':
+        case 'object':
+            if (typeof value !== 'object' || Array.isArray(value)) {
+                errors.push(`${path}: must be an object`);
+            } else if (schema.type === 'map') {
+                Object.keys(value).forEach(key => validateValue(value[key], schema.values, `${path}.${key}`, errors));
+            } else {
+                Object.keys(schema.fields).forEach(key => validateValue(value[key], schema.fields[key], path ? `${path}.${key}` : key, errors));
+            }
+            break;
+    }
+}
+
+// Project file of the open project, its stock and the solutions of the last calculation
+function buildProjectFile() {
+    const { version, ...project } = getProjectSnapshot();
+    const { version: workshopVersion, ...workshop } = getWorkshopSnapshot();
+    const solutions = state.projectResult
+        ? state.projectResult.curtainResults
+            .filter(({ curtain, solution }) => solution && state.curtains.includes(curtain))
+            .map(({ curtain, solution }) => {
+                const { curtain: solutionCurtain, ...fields } = solution;
+                return { curtainId: curtain.id, ...fields };
+            })
+        : [];
+
+    return {
+        version: PROJECT_FILE_VERSION,
+        exportedAt: new Date().toISOString(),
+        project: project,
+        workshop: workshop,
+        solutions: solutions
+    };
+}
+
+/**
+ * Read a project file - migrate it to the current version, then validate it
+ *
+ * @param {Object} data - Parsed JSON of the file
+ * @returns {Object} { file, errors } - file is null when there are errors
+ */
+function parseProjectFile(data) {
+    if (!data || typeof data !== 'object' || typeof data.version !== 'number') {
+        return { file: null, errors: ['version: is missing - this is not a project file'] };
+    }
+    if (data.version > PROJECT_FILE_VERSION) {
+        return { file: null, errors: [`version: ${data.version} is newer than this calculator supports (${PROJECT_FILE_VERSION})`] };
+    }
+
+    let file = data;
+    while (file.version < PROJECT_FILE_VERSION) {
+        const migrate = PROJECT_FILE_MIGRATIONS[file.version];
+        if (!migrate) {
+            return { file: null, errors: [`version: ${file.version} can't be upgraded`] };
+        }
+        file = migrate(file);
+    }
+
+    const errors = [];
+    validateValue(file, PROJECT_FILE_SCHEMA, '', errors);
+    if (errors.length === 0) {
+        // References between the sections
+        const curtainIds = file.project.curtains.map(curtain => curtain.id);
+        file.project.curtains.forEach((curtain, index) => {
+            if (curtain.layout === 'custom' && !leafWidthsFitTrack(curtain.leafWidths || [], curtain.width)) {
+                errors.push(`project.curtains[${index}].leafWidths: must add up to the track width (${curtain.width} mm)`);
+            }
+        });
+        file.solutions.forEach((solution, index) => {
+            if (!curtainIds.includes(solution.curtainId)) {
+                errors.push(`solutions[${index}].curtainId: no curtain with id ${solution.curtainId}`);
+            }
+        });
+        if (file.workshop) {
+            const fabricIds = file.workshop.fabricCatalogue.map(entry => entry.id);
+            Object.keys(file.workshop.fabricInventory).forEach(id => {
+                if (!fabricIds.includes(Number(id))) {
+                    errors.push(`workshop.fabricInventory.${id}: no catalogue entry with id ${id}`);
+                }
+            });
+            if (file.workshop.fabricTypes) {
+                if (file.workshop.fabricTypes.length === 0) {
+                    errors.push('workshop.fabricTypes: must hold at least one fabric');
+                }
+                const fabricTypeIds = file.workshop.fabricTypes.map(fabricType => fabricType.id);
+                file.workshop.fabricCatalogue.forEach((entry, index) => {
+                    if (!fabricTypeIds.includes(entry.fabricTypeId)) {
+                        errors.push(`workshop.fabricCatalogue[${index}].fabricTypeId: no fabric with id ${entry.fabricTypeId}`);
+                    }
+                });
+            }
+        }
+    }
+    return { file: errors.length === 0 ? file : null, errors };
+}
+
+// Save generated content as a file download
+function downloadFile(content, filename, type) {
+    const blob = new Blob([content], { type: type });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+}
+
+function exportProject() {
+    const file = buildProjectFile();
+    downloadFile(JSON.stringify(file, null, 2), `${(state.projectName || 'Curtain Project').trim()}.curtains.json`, 'application/json');
+}
+
+// Import a project file as a new project in the library, optionally with its fabric stock
+async function importProject(fileHandle) {
+    let data;
+    try {
+        data = JSON.parse(await fileHandle.text());
+    } catch (error) {
+        alert(`${fileHandle.name} is not a valid JSON file.`);
+        return;
+    }
+
+    const { file, errors } = parseProjectFile(data);
+    if (!file) {
+        const shown = errors.slice(0, 10).join('\n');
+        const more = errors.length > 10 ? `\n… and ${errors.length - 10} more` : '';
+        alert(`${fileHandle.name} can't be imported:\n${shown}${more}`);
+        return;
+    }
+
+    saveCurrentProject();
+    if (file.workshop && confirm('Replace the fabric catalogue, inventory, profiles and quote settings with the ones in the file?')) {
+        applyWorkshopSnapshot(file.workshop);
+    }
+    state.currentProjectId = null;
+    applyProjectSnapshot(file.project);
+    saveCurrentProject();
+
+    if (file.solutions.length > 0) {
+        showImportedSolutions(file.solutions);
+    }
+}
+
+// Show the solutions stored in a project file as the results, without recalculating
+function showImportedSolutions(solutions) {
+    const curtainResults = state.curtains.map(curtain => {
+        const stored = solutions.find(solution => solution.curtainId === curtain.id);
+        if (!stored) {
+            return { curtain, solution: null, alternatives: [], ruledOut: [], diagnostics: null };
+        }
+        const { curtainId, ...fields } = stored;
+        // Files saved before curtains could be lined have no layers
+        const solution = { layers: [], ...fields, curtain: curtain };
+        return { curtain, solution, alternatives: [solution], ruledOut: [], diagnostics: null };
+    });
+
+    // Rebuild the opened rolls from the cuts
+    const rollsById = new Map();
+    curtainResults.forEach(({ solution }) => {
+        if (!solution) return;
+        solution.cuts.forEach(cut => {
+            if (!rollsById.has(cut.rollId)) {
+                const entry = getFabricEntry(cut.fabricId);
+                const remnant = cut.remnantId ? state.remnants.find(r => r.id === cut.remnantId) : null;
+                rollsById.set(cut.rollId, {
+                    id: cut.rollId,
+                    fabricId: cut.fabricId,
+                    fabricWidth: cut.fabricWidth,
+                    fabricName: entry ? entry.name : '',
+                    number: cut.rollNumber,
+                    remnantId: cut.remnantId || null,
+                    width: remnant ? remnant.width : cut.fabricWidth,
+                    length: remnant ? remnant.length : (entry ? Number(entry.rollLength) : DEFAULT_ROLL_LENGTH_MM),
+                    used: 0,
+                    cuts: []
+                });
+            }
+            const roll = rollsById.get(cut.rollId);
+            roll.cuts.push(cut);
+            roll.used = Math.max(roll.used, cut.offset + cut.cutLength);
+        });
+    });
+    const rolls = [...rollsById.values()];
+    rolls.forEach(roll => roll.cuts.sort((a, b) => a.offset - b.offset));
+
+    state.projectResult = { curtainResults, rolls, totals: computeProjectTotals(curtainResults, rolls) };
+    const firstSolved = curtainResults.find(result => result.solution);
+    if (!firstSolved) return;
+    displayResults(state.projectResult);
+    showCurtainDiagram(firstSolved.curtain.id);
+    setExportsEnabled(true);
+}
+
+// Curtains to solve - the project list, or the editor curtain when nothing was added yet
+function getProjectCurtains() {
+    if (state.curtains.length > 0) {
+        return state.curtains;
+    }
+    if (state.curtainHeight > 0 && state.curtainWidth > 0) {
+        return [{ ...getEditorCurtain(0), name: state.curtainName || 'Curtain' }];
+    }
+    return [];
+}
+
+// Main calculation function - solves every curtain in the project against the shared inventory
+function calculate() {
+    const resultsDiv = document.getElementById('results');
+    const diagramContainer = document.getElementById('diagram-container');
+
+    // Validate inputs
+    const curtains = getProjectCurtains();
+    if (curtains.length === 0) {
+        resultsDiv.innerHTML = '<p class="placeholder">Please enter valid curtain dimensions</p>';
+        diagramContainer.innerHTML = '';
+        return;
+    }
+
+    // The project needs its id to own remnants - a new project joins the library now
+    if (state.currentProjectId === null) {
+        saveCurrentProject();
+        renderProjectLibrary();
+    }
+    const projectId = state.currentProjectId;
+    releaseProjectRemnants(projectId);
+
+    // Check if any fabric is available
+    const totalInventory = Object.values(state.fabricInventory).reduce((sum, qty) => sum + qty, 0) + getFreeRemnants().length;
+    if (totalInventory === 0) {
+        resultsDiv.innerHTML = '<p class="placeholder">Please add fabric inventory</p>';
+        diagramContainer.innerHTML = '';
+        return;
+    }
+
+    // Find optimal solution for every curtain
+    const projectResult = solveProject(curtains);
+    projectResult.keptRemnants = registerRemnants(projectResult, projectId);
+    renderFabricInventory();
+    state.projectResult = projectResult;
+    state.cutSheetDone.clear();
+    renderCutSheet();
+
+    const firstSolved = projectResult.curtainResults.find(r => r.solution);
+    if (!firstSolved) {
+        // Still list the curtains - the constraints that ruled their plans out are shown there
+        displayResults(projectResult);
+        resultsDiv.insertAdjacentHTML('afterbegin', '<div class="error-message">No valid solution found. Please check your inventory, curtain dimensions and plan constraints.</div>');
+        diagramContainer.innerHTML = '';
+        setExportsEnabled(false);
+        return;
+    }
+
+    // Display results
+    displayResults(projectResult);
+    showCurtainDiagram(firstSolved.curtain.id);
+    
+    // Enable the export buttons
+    setExportsEnabled(true);
+}
+
+// The exports need a calculated project - the buttons are disabled until there is one
+function setExportsEnabled(enabled) {
+    document.querySelectorAll('.diagram-controls .btn-export').forEach(btn => {
+        btn.disabled = !enabled;
+    });
+}
+
+// Redraw the results of the last calculation (after a cost setting changed), keeping the open details
+function refreshResults() {
+    if (!state.projectResult || !state.projectResult.curtainResults.some(r => r.solution)) return;
+    const openIds = [...document.querySelectorAll('.curtain-result[open]')].map(el => el.dataset.curtainId);
+    displayResults(state.projectResult);
+    openIds.forEach(id => {
+        const details = document.querySelector(`.curtain-result[data-curtain-id="${id}"]`);
+        if (details) details.open = true;
+    });
+}
+
+/**
+ * Solve all curtains of the project against one shared roll inventory
+ * Curtains with the longest drops are planned first (then the widest), which packs the rolls
+ * like a first-fit-decreasing cutting-stock pass. Every drop a plan needs is assigned to a
+ * specific roll and offset before the next curtain is planned, so no roll length is counted twice.
+ *
+ * @param {Array} curtains - Curtains to solve ({ id, name, height, width })
+ * @returns {Object} { curtainResults: [{ curtain, solution, alternatives, ruledOut, diagnostics }] in project order, rolls, totals }
+ */
+function solveProject(curtains) {
+    const rollPool = createRollPool(state.fabricCatalogue, state.fabricInventory, getFreeRemnants());
+    const solutions = new Map();
+    const alternatives = new Map();
+
+    const planningOrder = [...curtains].sort((a, b) => getCutLength(b) - getCutLength(a) || getFlatWidth(b) - getFlatWidth(a));
+    for (const curtain of planningOrder) {
+        const { plans, ruledOut, diagnostics } = findOptimalSolution(curtain, rollPool);
+        const solution = plans[0] || null;
+        if (solution) {
+            assignPanelsToRolls(solution, rollPool);
+        }
+        solutions.set(curtain, solution);
+        alternatives.set(curtain, { plans: plans.slice(0, RANKED_PLAN_COUNT), ruledOut, diagnostics });
+    }
+
+    const curtainResults = curtains.map(curtain => ({
+        curtain,
+        solution: solutions.get(curtain),
+        // Ranked plans against the rolls left when the curtain was planned
+        alternatives: alternatives.get(curtain).plans,
+        ruledOut: alternatives.get(curtain).ruledOut,
+        diagnostics: alternatives.get(curtain).diagnostics // why nothing could be cut, null when some plan was possible
+    }));
+
+    // Only rolls and remnants that had at least one drop cut from them are reported
+    const rolls = Object.values(rollPool)
+        .flat()
+        .filter(roll => roll.cuts.length > 0);
+
+    return { curtainResults, rolls, totals: computeProjectTotals(curtainResults, rolls) };
+}
+
+// Project totals over the solved curtains and the opened rolls
+function computeProjectTotals(curtainResults, rolls) {
+    const totals = {
+        curtains: curtainResults.length,
+        solvedCurtains: 0,
+        panels: 0,
+        waste: 0, // in mm
+        wasteArea: 0, // in m²
+        patternMatchArea: 0, // in m²
+        rollsByFabric: {}, // opened rolls per catalogue entry label
+        remnantsUsed: 0,
+        remainingLength: 0, // usable length left on the opened rolls, in mm
+        metresByLayer: {} // length cut per layer name ("Face", "Lining", ...), in m
+    };
+    curtainResults.forEach(({ solution }) => {
+        if (!solution) return;
+        totals.solvedCurtains++;
+        totals.panels += solution.parts;
+        solution.cuts.forEach(cut => {
+            const layer = LINING_LAYERS.find(l => l.id === cut.layer);
+            const name = layer ? layer.name : 'Face';
+            totals.metresByLayer[name] = (totals.metresByLayer[name] || 0) + cut.cutLength / 1000;
+        });
+        totals.waste += solution.waste;
+        totals.wasteArea += solution.wasteArea;
+        totals.patternMatchArea += solution.patternMatchArea;
+    });
+    rolls.forEach(roll => {
+        if (roll.remnantId) {
+            totals.remnantsUsed++;
+            return;
+        }
+        const label = getRollFabricLabel(roll);
+        totals.rollsByFabric[label] = (totals.rollsByFabric[label] || 0) + 1;
+        totals.remainingLength += roll.length - roll.used;
+    });
+
+    return totals;
+}
+
+/**
+ * Build the roll pool for a calculation - one entry per physical roll in the inventory
+ *
+ * @param {Array} catalogue - Fabric catalogue entries ({ id, width, name, rollLength })
+ * @param {Object} inventory - Roll count per catalogue entry id
+ * @param {Array} remnants - Free remnants - each becomes a short, possibly narrower "roll" of its fabric
+ * @returns {Object} Rolls per catalogue entry id: [{ id, fabricId, fabricWidth, number, remnantId, width, length, used, cuts }]
+ */
+function createRollPool(catalogue, inventory, remnants = []) {
+    const pool = {};
+    catalogue.forEach(entry => {
+        pool[entry.id] = [];
+        for (let number = 1; number <= Number(inventory[entry.id] || 0); number++) {
+            pool[entry.id].push({
+                id: `${entry.id}-${number}`,
+                fabricId: entry.id,
+                fabricWidth: Number(entry.width),
+                fabricName: entry.name,
+                number: number,
+                remnantId: null, // a full roll
+                width: Number(entry.width), // usable width, in mm
+                length: Number(entry.rollLength) || DEFAULT_ROLL_LENGTH_MM,
+                used: 0, // length already cut from the roll, in mm
+                cuts: [] // drops in cutting order: { curtainId, curtainName, panelIndex, role, offset, length }
+            });
+        }
+        remnants.filter(remnant => remnant.fabricId === entry.id).forEach(remnant => {
+            pool[entry.id].push({
+                id: `R${remnant.id}`,
+                fabricId: entry.id,
+                fabricWidth: Number(entry.width),
+                fabricName: entry.name,
+                number: remnant.id,
+                remnantId: remnant.id,
+                width: Number(remnant.width),
+                length: Number(remnant.length),
+                used: 0,
+                cuts: []
+            });
+        });
+    });
+    return pool;
+}
+
+// Name of a roll or remnant on the cut lists, e.g. "Roll #2" or "Remnant #14"
+function getRollName(number, remnantId) {
+    return remnantId ? `Remnant #${remnantId}` : `Roll #${number}`;
+}
+
+// Heading of a roll on the cut sheets, e.g. "Roll #2 (2100 mm) · 50000 mm"
+function getRollDescription(roll) {
+    const size = roll.remnantId ? `${roll.width} × ${roll.length.toFixed(0)} mm` : `${roll.length.toFixed(0)} mm`;
+    return `${getRollName(roll.number, roll.remnantId)} (${getRollFabricLabel(roll)}) · ${size}`;
+}
+
+// Drop length along the roll: the cut length rounded up to a whole vertical pattern repeat (in mm)
+function getDropLength(cutLength, fabric) {
+    const repeat = Number(fabric.verticalRepeat) || 0;
+    return repeat > 0 ? Math.ceil(cutLength / repeat) * repeat : cutLength;
+}
+
+/**
+ * Extra width a panel needs so its pattern continues across the seam from its left neighbour
+ * Panel i starts (i × netWidth) into the horizontal repeat, so it is cut that far sideways.
+ * Panels cut from one fabric share a cut width, so the largest shift of the given panels is used.
+ *
+ * @param {number} netWidth - Net width of every panel (in mm)
+ * @param {Array} panelIndices - Positions of the panels in the curtain (0 is the left outer panel)
+ * @param {Object} fabric - Catalogue entry with horizontalRepeat (in mm, 0 for plain fabric)
+ * @returns {number} Extra cut width in mm
+ */
+function getPatternMatchWidth(netWidth, panelIndices, fabric) {
+    const repeat = Number(fabric.horizontalRepeat) || 0;
+    if (repeat <= 0) return 0;
+    return panelIndices.reduce((maxShift, index) => {
+        const shift = (Math.round((index * netWidth) % repeat * 10) / 10) % repeat;
+        return Math.max(maxShift, shift);
+    }, 0);
+}
+
+// Label of the catalogue entry a roll comes from
+function getRollFabricLabel(roll) {
+    return getFabricLabel(getFabricEntry(roll.fabricId) || { width: roll.fabricWidth, name: roll.fabricName });
+}
+
+// Number of drops of the given length that still fit on the rolls - on the ones wide enough for the cut width
+function countDropsThatFit(rolls, dropLength, cutWidth = 0) {
+    if (!rolls || dropLength <= 0) return 0;
+    return rolls
+        .filter(roll => roll.width >= cutWidth)
+        .reduce((count, roll) => count + Math.floor((roll.length - roll.used) / dropLength), 0);
+}
+
+// Roll with the least remaining length that still holds the drop (null when none does)
+// Remnants wide and long enough are used up before any full roll
+function findBestFitRoll(rolls, dropLength, cutWidth, getRemaining) {
+    let bestRoll = null;
+    let bestRemaining = Infinity;
+    for (const roll of rolls || []) {
+        const remaining = getRemaining(roll);
+        if (remaining < dropLength || roll.width < cutWidth) continue;
+        const betterKind = bestRoll && Boolean(roll.remnantId) !== Boolean(bestRoll.remnantId);
+        if (betterKind ? Boolean(roll.remnantId) : remaining < bestRemaining) {
+            bestRoll = roll;
+            bestRemaining = remaining;
+        }
+    }
+    return bestRoll;
+}
+
+// Leaves of a plan, left to right - a plan of a single leaf is its own leaf
+function getPlanLeaves(plan) {
+    return plan.leaves || [plan];
+}
+
+/**
+ * Panels of a plan from left to right, numbered across the leaves
+ * Each leaf has its outer edges at its first and last panel.
+ *
+ * @returns {Array} [{ leaf, leafIndex, index, isFirst, isLast, isOuter }] - isFirst / isLast: the panel has
+ *                  the outer edge of its leaf on its left / right side
+ */
+function getPlanPanels(plan) {
+    const panels = [];
+    getPlanLeaves(plan).forEach((leaf, leafIndex) => {
+        for (let i = 0; i < leaf.parts; i++) {
+            const isFirst = i === 0;
+            const isLast = i === leaf.parts - 1;
+            panels.push({ leaf, leafIndex, index: panels.length, isFirst, isLast, isOuter: isFirst || isLast });
+        }
+    });
+    return panels;
+}
+
+// Face fabric of a panel (its leaf) or the lining layer at layerIndex - 1
+function getPanelLayer(panel, layerIndex) {
+    return layerIndex === 0 ? panel.leaf : panel.leaf.layers[layerIndex - 1];
+}
+
+// Width a drop of the plan (or of one of its lining layers) takes across the roll
+function getPlanCutWidth(plan, isOuter) {
+    if (plan.railroaded) return plan.cutLength;
+    return isOuter ? plan.outerPanelWidth : plan.innerPanelWidth;
+}
+
+/**
+ * Count the rolls a plan would use without changing the pool
+ * Runs the same best-fit assignment as assignPanelsToRolls() on a copy of the remaining lengths,
+ * for the face panels and then the panels of every lining layer.
+ *
+ * @returns {Object} { rollsUsed, newRolls, remnantsUsed } - full rolls touched by the plan, how many of
+ *                   them are unopened and the remnants it cuts from (Infinity when the drops don't fit)
+ */
+function simulateRollUse(plan, rollPool) {
+    const remaining = new Map();
+    const getRemaining = roll => (remaining.has(roll) ? remaining.get(roll) : roll.length - roll.used);
+    let newRolls = 0;
+
+    const panels = getPlanPanels(plan);
+    for (let layerIndex = 0; layerIndex <= plan.layers.length; layerIndex++) {
+        for (const panel of panels) {
+            const layer = getPanelLayer(panel, layerIndex);
+            const fabricId = panel.isOuter ? layer.outerFabricId : layer.innerFabricId;
+            const dropLength = panel.isOuter ? layer.outerDropLength : layer.innerDropLength;
+            const roll = findBestFitRoll(rollPool[fabricId], dropLength, getPlanCutWidth(layer, panel.isOuter), getRemaining);
+            if (!roll) {
+                return { rollsUsed: Infinity, newRolls: Infinity, remnantsUsed: Infinity };
+            }
+            if (!remaining.has(roll) && roll.used === 0 && !roll.remnantId) {
+                newRolls++;
+            }
+            remaining.set(roll, getRemaining(roll) - dropLength);
+        }
+    }
+
+    const remnantsUsed = [...remaining.keys()].filter(roll => roll.remnantId).length;
+    return { rollsUsed: remaining.size - remnantsUsed, newRolls, remnantsUsed };
+}
+
+/**
+ * Assign every panel drop of a solution to a specific roll and offset
+ * Best fit: each drop goes on the roll with the least remaining length that still holds it,
+ * so partly used rolls are finished before a new roll is opened. The face panels are placed
+ * first, then the panels of every lining layer.
+ * Adds solution.cuts and the number of rolls used by the outer and inner face panels and by all layers.
+ */
+function assignPanelsToRolls(solution, rollPool) {
+    const curtain = solution.curtain;
+    const outerRolls = new Set();
+    const innerRolls = new Set();
+    const layerRolls = new Set();
+    const remnants = new Set();
+    solution.cuts = [];
+
+    const panels = getPlanPanels(solution);
+    for (let layerIndex = 0; layerIndex <= solution.layers.length; layerIndex++) {
+        const isFace = layerIndex === 0;
+        for (const panel of panels) {
+            const layer = getPanelLayer(panel, layerIndex);
+            const isOuter = panel.isOuter;
+            const fabricId = isOuter ? layer.outerFabricId : layer.innerFabricId;
+            const fabricWidth = isOuter ? layer.outerFabricWidth : layer.innerFabricWidth;
+            // Rounded to the pattern repeat - a railroaded piece runs along the roll for the whole leaf width
+            const dropLength = isOuter ? layer.outerDropLength : layer.innerDropLength;
+
+            const bestRoll = findBestFitRoll(rollPool[fabricId], dropLength, getPlanCutWidth(layer, isOuter), roll => roll.length - roll.used);
+            if (!bestRoll) {
+                // findOptimalSolution() checked the capacity, so this only happens if the pool changed
+                throw new Error(`No roll of ${fabricWidth} mm left for ${curtain.name} panel ${panel.index + 1}`);
+            }
+
+            const cut = {
+                curtainId: curtain.id,
+                curtainName: curtain.name,
+                panelIndex: panel.index, // numbered across the leaves
+                leafIndex: panel.leafIndex,
+                role: solution.railroaded ? 'railroaded' : (isOuter ? 'outer' : 'inner'),
+                layer: isFace ? 'face' : layer.id,
+                fabricId: fabricId,
+                fabricWidth: fabricWidth,
+                fabricLabel: getRollFabricLabel(bestRoll),
+                // Size across the roll width and along the roll
+                cutWidth: getPlanCutWidth(layer, isOuter),
+                cutLength: dropLength,
+                rollId: bestRoll.id,
+                rollNumber: bestRoll.number,
+                remnantId: bestRoll.remnantId, // null when cut from a full roll
+                offset: bestRoll.used // distance from the start of the roll, in mm
+            };
+            bestRoll.cuts.push(cut);
+            bestRoll.used += dropLength;
+            solution.cuts.push(cut);
+            if (bestRoll.remnantId) {
+                remnants.add(bestRoll.id);
+            } else if (!isFace) {
+                layerRolls.add(bestRoll.id);
+            } else {
+                (isOuter ? outerRolls : innerRolls).add(bestRoll.id);
+            }
+        }
+    }
+
+    solution.outerRollsNeeded = outerRolls.size;
+    solution.innerRollsNeeded = innerRolls.size;
+    solution.rollsUsed = new Set([...outerRolls, ...innerRolls, ...layerRolls]).size;
+    solution.remnantsUsed = remnants.size;
+}
+
+/**
+ * Find the valid fabric solutions, ranked from minimum waste
+ * Supports different fabric widths for outer and inner panels
+ * 
+ * Algorithm:
+ * 1. Plan every leaf of the curtain with findLeafPlans() - a single leaf is the whole curtain
+ * 2. Combine the plans of the leaves of a pair or custom layout with combineLeafPlans()
+ * 3. Keep only plans whose drops fit in the remaining length of the rolls
+ * 4. Rank the solutions by the selected objective - the first one is the optimal solution
+ * 5. Set aside the solutions that break a plan constraint, with the constraints they break
+ * 
+ * @param {Object} curtain - Curtain to plan ({ name, height, width } in mm)
+ * @param {Object} rollPool - Rolls per catalogue entry with their used length (shared between the project curtains)
+ * @returns {Object} { plans, ruledOut, diagnostics } - plans: ranked solution objects with outerFabricWidth, innerFabricWidth,
+ *                   parts, netWidth, outerPanelWidth, innerPanelWidth, cutLength, waste, fabricCost, rollsUsed, newRolls, remnantsUsed, seams
+ *                   and the leaves for several leaves (empty when no plan is possible); ruledOut: ranked [{ plan, reasons }]
+ *                   broken by the constraints; diagnostics: see diagnoseNoSolution(), null when some plan was possible
+ */
+function findOptimalSolution(curtain, rollPool) {
+    // Why combinations failed, per catalogue entry - kept for the diagnostics when no plan is left
+    // Each kind keeps the value closest to working (narrowest cut width, fewest drops needed)
+    const failures = {};
+    const layerFailures = {}; // the same per lining layer id, for the fabrics of the layer
+    const noteFailure = (fabric, kind, value, layerId = null) => {
+        const byFabric = layerId ? (layerFailures[layerId] = layerFailures[layerId] || {}) : failures;
+        const kinds = byFabric[fabric.id] = byFabric[fabric.id] || {};
+        kinds[kind] = kind in kinds ? Math.min(kinds[kind], value) : value;
+    };
+
+    // Plans per leaf width - the two leaves of a pair share theirs
+    const leafWidths = getCurtainLeafWidths(curtain);
+    const plansByWidth = new Map();
+    let maxParts = 0;
+    let maxPartsCapped = false;
+    leafWidths.forEach(trackWidth => {
+        if (plansByWidth.has(trackWidth)) return;
+        const leaf = findLeafPlans(curtain, trackWidth, rollPool, noteFailure);
+        plansByWidth.set(trackWidth, leaf.plans);
+        maxParts = Math.max(maxParts, leaf.maxParts);
+        maxPartsCapped = maxPartsCapped || leaf.maxPartsCapped;
+    });
+    const candidates = leafWidths.length === 1
+        ? plansByWidth.get(leafWidths[0])
+        : combineLeafPlans(curtain, leafWidths.map(trackWidth => plansByWidth.get(trackWidth)));
+
+    // Rank by the chosen objective. Waste includes the pattern matching fabric - it isn't in the
+    // finished curtain either, so it counts against the plan - and the waste of the lining layers.
+    candidates.forEach(plan => {
+        Object.assign(plan, simulateRollUse(plan, rollPool));
+        plan.rankWaste = plan.wasteArea + plan.patternMatchArea +
+            plan.layers.reduce((sum, layer) => sum + layer.wasteArea, 0); // in m²
+    });
+    // Drop counts ignore that a remnant can hold only some of the cut widths, and that the leaves
+    // draw from the same rolls - a plan whose drops can't all be placed is left out
+    const placeable = candidates.filter(plan => {
+        if (Number.isFinite(plan.rollsUsed)) return true;
+        noteFailure(getFabricEntry(plan.innerFabricId), 'tooFewDrops', plan.parts);
+        return false;
+    });
+    placeable.sort((a, b) => comparePlans(a, b, state.objective));
+
+    // Plans that break a constraint are kept aside with the reasons, so the planner can see
+    // what a constraint cost them
+    const plans = [];
+    const ruledOut = [];
+    placeable.forEach(plan => {
+        const reasons = getConstraintViolations(plan, state.constraints);
+        if (reasons.length > 0) {
+            ruledOut.push({ plan, reasons });
+        } else {
+            plans.push(plan);
+        }
+    });
+
+    // Nothing could be cut at all - explain why, per fabric width, with suggestions
+    const diagnostics = placeable.length === 0
+        ? diagnoseNoSolution(curtain, rollPool, failures, layerFailures, maxParts, maxPartsCapped)
+        : null;
+
+    return { plans, ruledOut, diagnostics };
+}
+
+/**
+ * Plans of one leaf of a curtain - the whole curtain for a single leaf
+ * A leaf is hemmed like a curtain of its own: outer edges on both sides, whatever its place on the track.
+ *
+ * Algorithm:
+ * 1. Loop over all valid parts values (1 to max) - a single panel has the outer edge hem on both sides,
+ *    two panels are both outer panels
+ * 2. For each parts value, calculate netWidth and cut widths
+ * 3. Try all combinations of catalogue fabrics for outer and inner panels
+ * 4. Keep only combinations whose drops fit in the remaining length of the rolls
+ * 5. Add a railroaded plan for every fabric width that covers the cut drop
+ * 6. Plan the lining layers of every plan, leaving out the plans whose layers can't be cut
+ *
+ * @param {Object} curtain - Curtain the leaf belongs to
+ * @param {number} trackWidth - Track width the leaf covers, in mm
+ * @param {Object} rollPool - Rolls per catalogue entry with their used length
+ * @param {Function} noteFailure - Called with (fabric, kind, value, layerId) for every rejected combination
+ * @returns {Object} { plans, maxParts, maxPartsCapped } - unranked plans, the most panels tried and
+ *                   whether the stock allows more panels than are tried
+ */
+function findLeafPlans(curtain, trackWidth, rollPool, noteFailure) {
+    const totalCurtainWidth = trackWidth * getFullness(curtain); // flat fabric width in mm: track width × fullness
+    const curtainHeight = Number(curtain.height); // in mm - ensure number
+    const fabrics = getCurtainFabrics(curtain); // catalogue entries of the curtain's fabric
+
+    // Fold values in mm from the curtain's allowance profile
+    // Standard profile: 140mm (outer edge) + 40mm (inner edge) = 180mm
+    const profile = getAllowanceProfile(curtain.profileId);
+    const OUTER_FOLD_MM = profile.outerEdge + profile.innerEdge; // 140 mm (outer edge) + 40 mm (inner edge) = 180 mm
+    const INNER_FOLD_MM = 2 * profile.innerEdge;  // 40 mm on each side = 80 mm
+    
+    // Each drop is cut along the roll length: finished height + heading + hem
+    const cutLength = getCutLength(curtain);
+
+    const candidates = [];
+
+    // Calculate maximum parts based on the drops that still fit on the rolls
+    let maxParts = 2;
+    for (const fabric of fabrics) {
+        maxParts = Math.max(maxParts, countDropsThatFit(rollPool[fabric.id], getDropLength(cutLength, fabric)));
+    }
+    const narrowestWidth = Math.min(...fabrics.map(fabric => Number(fabric.width)));
+    const maxPartsCapped = maxParts > MAX_PANELS_PER_CURTAIN; // the stock allows more panels than are tried
+    maxParts = Math.min(maxParts, Math.ceil(totalCurtainWidth / narrowestWidth) + 5, MAX_PANELS_PER_CURTAIN);
+    
+    // Loop over all valid parts values
+    for (let parts = 1; parts <= maxParts; parts++) {
+        // Calculate net width per panel
+        let netWidth = totalCurtainWidth / parts;
+        
+        // Check for invalid netWidth (negative or zero)
+        if (netWidth <= 0) {
+            continue;
+        }
+        
+        // Round netWidth to 1 decimal place
+        netWidth = Math.round(netWidth * 10) / 10;
+        
+        // Calculate cut widths (different for outer and inner panels) - all in mm
+        // A single panel is hemmed on both sides: netWidth + 2 × 140 mm (standard profile)
+        const outerCutWidth = parts === 1 ? netWidth + 2 * profile.outerEdge : netWidth + OUTER_FOLD_MM; // netWidth + 180 mm (standard profile)
+        const innerCutWidth = netWidth + INNER_FOLD_MM;  // netWidth + 80 mm (standard profile)
+        const outerPanelsNeeded = Math.min(parts, 2);
+        const innerPanelsNeeded = parts - outerPanelsNeeded;
+        
+        // Try all combinations of fabric widths for outer and inner panels
+        for (const outerFabric of fabrics) {
+            const outerRolls = rollPool[outerFabric.id];
+            if (!outerRolls || outerRolls.length === 0) {
+                noteFailure(outerFabric, 'noStock', 0);
+                continue;
+            }
+            
+            const outerFabricWidth = Number(outerFabric.width);
+            
+            // Patterned fabric: drops start at the same point of the vertical repeat,
+            // and the right outer panel is shifted sideways to match its neighbour at the seam
+            const outerDropLength = getDropLength(cutLength, outerFabric);
+            const outerMatchWidth = getPatternMatchWidth(netWidth, [parts - 1], outerFabric);
+            const outerPanelCutWidth = outerCutWidth + outerMatchWidth;
+            
+            // Check if outer panels fit
+            if (outerPanelCutWidth > outerFabricWidth) {
+                noteFailure(outerFabric, 'outerTooWide', outerPanelCutWidth);
+                continue;
+            }
+            
+            // Calculate panels per full roll for outer fabric
+            const outerPanelsPerRoll = Math.floor((Number(outerFabric.rollLength) || DEFAULT_ROLL_LENGTH_MM) / outerDropLength);
+            if (outerPanelsPerRoll < 1) {
+                noteFailure(outerFabric, 'dropTooLong', outerDropLength);
+                continue;
+            }
+            
+            // We need 2 outer panels (1 for a single panel)
+            const outerDropsAvailable = countDropsThatFit(outerRolls, outerDropLength, outerPanelCutWidth);
+            if (outerDropsAvailable < outerPanelsNeeded) {
+                noteFailure(outerFabric, 'tooFewDrops', outerPanelsNeeded);
+                continue;
+            }
+            
+            for (const innerFabric of fabrics) {
+                // Widths of one fabric only - a curtain for any fabric isn't sewn from two
+                if (innerFabric.fabricTypeId !== outerFabric.fabricTypeId) continue;
+                // One or two panels have no inner panels - the plan is cut from the outer fabric alone
+                if (innerPanelsNeeded === 0 && innerFabric.id !== outerFabric.id) continue;
+                const innerRolls = rollPool[innerFabric.id];
+                if (!innerRolls || innerRolls.length === 0) continue;
+                
+                const innerFabricWidth = Number(innerFabric.width);
+                
+                // We need (parts - 2) inner panels
+                const innerDropLength = innerPanelsNeeded > 0 ? getDropLength(cutLength, innerFabric) : 0;
+                const innerIndices = Array.from({ length: innerPanelsNeeded }, (_, k) => k + 1);
+                const innerMatchWidth = getPatternMatchWidth(netWidth, innerIndices, innerFabric);
+                const innerPanelCutWidth = innerPanelsNeeded > 0 ? innerCutWidth + innerMatchWidth : 0;
+                
+                // Check if inner panels fit
+                if (innerPanelCutWidth > innerFabricWidth) {
+                    noteFailure(innerFabric, 'innerTooWide', innerPanelCutWidth);
+                    continue;
+                }
+                
+                // Calculate panels per full roll for inner fabric
+                const innerPanelsPerRoll = innerPanelsNeeded > 0
+                    ? Math.floor((Number(innerFabric.rollLength) || DEFAULT_ROLL_LENGTH_MM) / innerDropLength)
+                    : 0;
+                if (innerPanelsNeeded > 0 && innerPanelsPerRoll < 1) {
+                    noteFailure(innerFabric, 'dropTooLong', innerDropLength);
+                    continue;
+                }
+                
+                const innerDropsAvailable = countDropsThatFit(innerRolls, innerDropLength, innerPanelCutWidth);
+                if (innerPanelsNeeded > innerDropsAvailable) {
+                    noteFailure(innerFabric, 'tooFewDrops', innerPanelsNeeded);
+                    continue;
+                }
+                
+                // Outer and inner panels from the same fabric draw from the same rolls
+                if (outerFabric.id === innerFabric.id && innerPanelsNeeded > 0 && outerPanelsNeeded + innerPanelsNeeded > innerDropsAvailable) {
+                    noteFailure(innerFabric, 'tooFewDrops', outerPanelsNeeded + innerPanelsNeeded);
+                    continue;
+                }
+                
+                // Calculate total waste
+                const outerWaste = outerPanelsNeeded * (outerFabricWidth - outerPanelCutWidth);
+                const innerWaste = innerPanelsNeeded * (innerFabricWidth - innerPanelCutWidth);
+                const totalWaste = outerWaste + innerWaste;
+                
+                // Only consider solutions with non-negative waste
+                if (totalWaste < 0) {
+                    continue;
+                }
+
+                // Waste area - all drops share the cut length, so this ranks vertical plans like totalWaste
+                // and makes them comparable with railroaded plans
+                const wasteArea = totalWaste * cutLength; // in mm²
+                
+                // Fabric used only for pattern matching: the sideways shift over the cut length,
+                // plus the whole roll width over the length added to reach a full vertical repeat
+                const patternMatchArea =
+                    outerPanelsNeeded * (outerMatchWidth * cutLength + (outerDropLength - cutLength) * outerFabricWidth) +
+                    innerPanelsNeeded * (innerMatchWidth * cutLength + (innerDropLength - cutLength) * innerFabricWidth); // in mm²
+
+                candidates.push({
+                    outerFabricId: outerFabric.id,
+                    innerFabricId: innerFabric.id,
+                    outerFabricWidth: outerFabricWidth,
+                    innerFabricWidth: innerFabricWidth,
+                    outerFabricLabel: getFabricLabel(outerFabric),
+                    innerFabricLabel: getFabricLabel(innerFabric),
+                    parts: parts,
+                    netWidth: netWidth, // in mm
+                    outerPanelWidth: outerPanelCutWidth,  // in mm
+                    innerPanelWidth: innerPanelCutWidth,  // in mm
+                    cutLength: cutLength, // finished height + heading + hem, in mm
+                    outerDropLength: outerDropLength, // length cut from the roll per outer panel, in mm
+                    innerDropLength: innerDropLength, // length cut from the roll per inner panel, in mm
+                    outerMatchWidth: outerMatchWidth, // extra width per outer panel for pattern matching, in mm
+                    innerMatchWidth: innerMatchWidth, // extra width per inner panel for pattern matching, in mm
+                    patternMatchArea: patternMatchArea / 1e6, // in m²
+                    trackWidth: trackWidth, // in mm
+                    fullness: getFullness(curtain),
+                    flatWidth: totalCurtainWidth, // track width × fullness, in mm
+                    headerAllowance: Number(curtain.headerAllowance || 0), // in mm
+                    hemAllowance: Number(curtain.hemAllowance || 0), // in mm
+                    profileName: profile.name,
+                    outerEdgeAllowance: profile.outerEdge, // side hem at the curtain's outer edges, in mm
+                    innerEdgeAllowance: profile.innerEdge, // seam allowance at every joined edge, in mm
+                    fabricCost: (outerPanelsNeeded * outerDropLength * getFabricMetrePrice(outerFabric) +
+                        innerPanelsNeeded * innerDropLength * getFabricMetrePrice(innerFabric)) / 1000, // length cut × price per metre
+                    waste: totalWaste, // in mm
+                    wasteArea: wasteArea / 1e6, // in m²
+                    outerPanelsPerRoll: outerPanelsPerRoll,
+                    innerPanelsPerRoll: innerPanelsPerRoll,
+                    seams: parts - 1,
+                    railroaded: false,
+                    curtain: curtain
+                });
+            }
+        }
+    }
+
+    // Railroaded (turned) plans: the roll width covers the cut drop and the whole flat width
+    // is cut along the roll as one seamless piece, with the outer edge hem on both sides
+    const railroadLength = totalCurtainWidth + 2 * profile.outerEdge;
+    for (const fabric of fabrics) {
+        const rolls = rollPool[fabric.id];
+        if (!rolls || rolls.length === 0) continue;
+
+        const fabricWidth = Number(fabric.width);
+        if (fabricWidth < cutLength) continue;
+
+        // The piece can't be joined, so it must fit on a single roll (or a remnant wide enough)
+        if (!rolls.some(roll => roll.width >= cutLength && roll.length - roll.used >= railroadLength)) continue;
+
+        const waste = fabricWidth - cutLength; // strip left along the piece, in mm
+        const wasteArea = waste * railroadLength; // in mm²
+        candidates.push({
+            outerFabricId: fabric.id,
+            innerFabricId: fabric.id,
+            outerFabricWidth: fabricWidth,
+            innerFabricWidth: fabricWidth,
+            outerFabricLabel: getFabricLabel(fabric),
+            innerFabricLabel: getFabricLabel(fabric),
+            parts: 1,
+            netWidth: totalCurtainWidth, // in mm
+            outerPanelWidth: railroadLength, // in mm - cut along the roll
+            innerPanelWidth: 0,
+            cutLength: cutLength, // covered by the roll width, in mm
+            railroadLength: railroadLength, // length of the piece along the roll, in mm
+            outerDropLength: railroadLength,
+            innerDropLength: 0,
+            // A railroaded piece has no seams and the repeat runs across the drop - nothing to match
+            outerMatchWidth: 0,
+            innerMatchWidth: 0,
+            patternMatchArea: 0,
+            trackWidth: trackWidth, // in mm
+            fullness: getFullness(curtain),
+            flatWidth: totalCurtainWidth, // track width × fullness, in mm
+            headerAllowance: Number(curtain.headerAllowance || 0), // in mm
+            hemAllowance: Number(curtain.hemAllowance || 0), // in mm
+            profileName: profile.name,
+            outerEdgeAllowance: profile.outerEdge, // in mm
+            innerEdgeAllowance: profile.innerEdge, // in mm
+            fabricCost: railroadLength * getFabricMetrePrice(fabric) / 1000,
+            waste: waste, // in mm
+            wasteArea: wasteArea / 1e6, // in m²
+            outerPanelsPerRoll: 1,
+            innerPanelsPerRoll: 0,
+            seams: 0,
+            railroaded: true,
+            curtain: curtain
+        });
+    }
+
+    // Lining layers are seamed like the face fabric, so each layer has the panels of the plan -
+    // a plan whose layers can't be cut from the stock is left out
+    const layers = getCurtainLayers(curtain);
+    const plans = candidates.filter(plan => {
+        plan.layers = layers.map(layer => planLiningLayer(plan, layer, rollPool, (fabric, kind, value) => {
+            noteFailure(fabric, kind, value, layer.id);
+        }));
+        if (plan.layers.includes(null)) return false;
+        plan.layers.forEach(layer => {
+            plan.fabricCost += layer.fabricCost;
+        });
+        return true;
+    });
+
+    return { plans, maxParts, maxPartsCapped };
+}
+
+/**
+ * Plans of a curtain of several leaves, one per plan of the first leaf
+ * Every leaf is cut from the same fabrics in the same way (vertical or railroaded, same lining fabrics).
+ * A leaf as wide as the first one takes the first leaf's plan, so the leaves of a pair are cut alike;
+ * a leaf of another width takes its plan with the least waste.
+ * The totals add up the leaves; netWidth and the panel widths are the widest leaf's, for the constraints.
+ *
+ * @param {Object} curtain - Curtain the leaves belong to
+ * @param {Array} leafPlans - Plans of every leaf from findLeafPlans(), left to right
+ * @returns {Array} Combined plans, each with its leaves (the leaf plans without the curtain)
+ */
+function combineLeafPlans(curtain, leafPlans) {
+    const getKey = plan => [plan.outerFabricId, plan.innerFabricId, plan.railroaded, ...plan.layers.map(layer => layer.outerFabricId)].join('/');
+    const getWaste = plan => plan.wasteArea + plan.patternMatchArea + plan.layers.reduce((sum, layer) => sum + layer.wasteArea, 0);
+
+    return leafPlans[0].map(first => {
+        const key = getKey(first);
+        const leaves = leafPlans.map(plans => plans.includes(first) ? first : plans
+            .filter(plan => getKey(plan) === key)
+            .reduce((best, plan) => !best || getWaste(plan) < getWaste(best) ? plan : best, null));
+        if (leaves.includes(null)) return null;
+
+        const sum = field => leaves.reduce((total, leaf) => total + leaf[field], 0);
+        const widest = field => Math.max(...leaves.map(leaf => leaf[field]));
+        return {
+            ...first, // fabrics, cut length, allowances and profile - the same for every leaf
+            parts: sum('parts'),
+            netWidth: widest('netWidth'),
+            outerPanelWidth: widest('outerPanelWidth'),
+            innerPanelWidth: widest('innerPanelWidth'),
+            railroadLength: first.railroaded ? widest('railroadLength') : undefined,
+            outerMatchWidth: widest('outerMatchWidth'),
+            innerMatchWidth: widest('innerMatchWidth'),
+            patternMatchArea: sum('patternMatchArea'),
+            trackWidth: Number(curtain.width),
+            flatWidth: getFlatWidth(curtain),
+            fabricCost: sum('fabricCost'),
+            waste: sum('waste'),
+            wasteArea: sum('wasteArea'),
+            seams: sum('seams'),
+            // Layer totals of the leaves - the sizes are the widest leaf's
+            layers: first.layers.map((layer, index) => ({
+                ...layer,
+                outerPanelWidth: Math.max(...leaves.map(leaf => leaf.layers[index].outerPanelWidth)),
+                innerPanelWidth: Math.max(...leaves.map(leaf => leaf.layers[index].innerPanelWidth)),
+                waste: leaves.reduce((total, leaf) => total + leaf.layers[index].waste, 0),
+                wasteArea: leaves.reduce((total, leaf) => total + leaf.layers[index].wasteArea, 0),
+                fabricCost: leaves.reduce((total, leaf) => total + leaf.layers[index].fabricCost, 0)
+            })),
+            leaves: leaves.map(({ curtain: leafCurtain, ...leaf }) => leaf)
+        };
+    }).filter(Boolean);
+}
+
+/**
+ * Plan one lining layer of a face plan
+ * The layer is seamed like the face fabric, so it has the plan's panels and net width, cut with the
+ * layer's own allowances (state.liningAllowances). A railroaded face gets a railroaded layer.
+ * Every width of the layer's fabric is tried and the one with the least waste is kept.
+ *
+ * @param {Object} plan - Face plan built in findOptimalSolution()
+ * @param {Object} layer - LINING_LAYERS entry
+ * @param {Object} rollPool - Rolls per catalogue entry with their used length
+ * @param {Function} noteFailure - Called with (fabric, kind, value) for every width that can't hold the layer
+ * @returns {Object|null} Layer with the outer / inner fields of a plan (see LINING_LAYER_SCHEMA), null when no width holds it
+ */
+function planLiningLayer(plan, layer, rollPool, noteFailure) {
+    const curtain = plan.curtain;
+    const allowances = state.liningAllowances[layer.id];
+    const cutLength = Number(curtain.height) + allowances.headerAllowance + allowances.hemAllowance;
+    const outerPanels = Math.min(plan.parts, 2);
+    const innerPanels = plan.railroaded ? 0 : plan.parts - outerPanels;
+    const innerIndices = Array.from({ length: innerPanels }, (_, k) => k + 1);
+
+    let best = null;
+    for (const fabric of getFabricsOfType(curtain[`${layer.id}FabricTypeId`])) {
+        const rolls = rollPool[fabric.id];
+        if (!rolls || rolls.length === 0) {
+            noteFailure(fabric, 'noStock', 0);
+            continue;
+        }
+        const fabricWidth = Number(fabric.width);
+        const rollLength = Number(fabric.rollLength) || DEFAULT_ROLL_LENGTH_MM;
+
+        let outerPanelWidth, innerPanelWidth, dropLength, crossWidth, wasteLength;
+        if (plan.railroaded) {
+            // One piece along the roll, the roll width covers the layer's drop
+            outerPanelWidth = plan.flatWidth + 2 * allowances.outerEdge;
+            innerPanelWidth = 0;
+            dropLength = outerPanelWidth;
+            crossWidth = cutLength;
+            wasteLength = outerPanelWidth;
+        } else {
+            // A single panel has the outer edge hem on both sides
+            outerPanelWidth = plan.netWidth + allowances.outerEdge + (plan.parts === 1 ? allowances.outerEdge : allowances.innerEdge) +
+                getPatternMatchWidth(plan.netWidth, [plan.parts - 1], fabric);
+            innerPanelWidth = innerPanels > 0
+                ? plan.netWidth + 2 * allowances.innerEdge + getPatternMatchWidth(plan.netWidth, innerIndices, fabric)
+                : 0;
+            dropLength = getDropLength(cutLength, fabric);
+            crossWidth = Math.max(outerPanelWidth, innerPanelWidth);
+            wasteLength = cutLength;
+        }
+
+        if (crossWidth > fabricWidth) {
+            noteFailure(fabric, plan.railroaded || outerPanelWidth > fabricWidth ? 'outerTooWide' : 'innerTooWide', crossWidth);
+            continue;
+        }
+        if (dropLength > rollLength) {
+            noteFailure(fabric, 'dropTooLong', dropLength);
+            continue;
+        }
+        const dropsNeeded = plan.railroaded ? 1 : plan.parts;
+        if (countDropsThatFit(rolls, dropLength, crossWidth) < dropsNeeded) {
+            noteFailure(fabric, 'tooFewDrops', dropsNeeded);
+            continue;
+        }
+
+        const waste = plan.railroaded
+            ? fabricWidth - cutLength
+            : outerPanels * (fabricWidth - outerPanelWidth) + innerPanels * (fabricWidth - innerPanelWidth); // in mm
+        const wasteArea = waste * wasteLength / 1e6; // in m²
+        if (best && best.wasteArea <= wasteArea) continue;
+        best = {
+            id: layer.id,
+            name: layer.name,
+            outerFabricId: fabric.id,
+            innerFabricId: fabric.id,
+            outerFabricWidth: fabricWidth,
+            innerFabricWidth: fabricWidth,
+            fabricLabel: getFabricLabel(fabric),
+            outerPanelWidth: outerPanelWidth, // in mm - along the roll when railroaded
+            innerPanelWidth: innerPanelWidth, // in mm
+            cutLength: cutLength, // finished height + the layer's heading and hem, in mm
+            outerDropLength: dropLength,
+            innerDropLength: innerPanels > 0 ? dropLength : 0,
+            railroaded: plan.railroaded,
+            outerEdgeAllowance: allowances.outerEdge,
+            innerEdgeAllowance: allowances.innerEdge,
+            headerAllowance: allowances.headerAllowance,
+            hemAllowance: allowances.hemAllowance,
+            waste: waste,
+            wasteArea: wasteArea,
+            fabricCost: dropsNeeded * dropLength * getFabricMetrePrice(fabric) / 1000
+        };
+    }
+    return best;
+}
+
+/**
+ * Explain why no plan was possible for a curtain and suggest how to make one possible
+ * Reasons come from the combinations findOptimalSolution() rejected; the suggestions are worked
+ * out per catalogue entry as if the whole curtain were cut from that fabric alone.
+ *
+ * @param {Object} curtain - Curtain that couldn't be planned
+ * @param {Object} rollPool - Rolls per catalogue entry, as they were when the curtain was planned
+ * @param {Object} failures - Rejected combinations per catalogue entry id: { kind: closest value }
+ * @param {Object} layerFailures - The same per lining layer id, for the widths planLiningLayer() rejected
+ * @param {number} maxParts - Most panels the solver tried
+ * @param {boolean} maxPartsCapped - True when more panels would fit in stock than the solver tries
+ * @returns {Object} { fabrics: [{ label, width, reasons, suggestion }] face widths widest first, then the lining widths,
+ *                   largestTrackWidth, largestFrom, maxPartsCapped }
+ */
+function diagnoseNoSolution(curtain, rollPool, failures, layerFailures, maxParts, maxPartsCapped) {
+    const profile = getAllowanceProfile(curtain.profileId);
+    const outerFold = profile.outerEdge + profile.innerEdge;
+    const innerFold = 2 * profile.innerEdge;
+    const leafFlatWidths = getCurtainLeafWidths(curtain).map(trackWidth => trackWidth * getFullness(curtain));
+    const cutLength = getCutLength(curtain);
+    const minParts = 1; // a single panel hemmed on both sides
+
+    let largestTrackWidth = 0;
+    let largestFrom = '';
+
+    const fabrics = [...getCurtainFabrics(curtain)]
+        .sort((a, b) => Number(b.width) - Number(a.width))
+        .map(fabric => {
+            const label = getFabricLabel(fabric);
+            const width = Number(fabric.width);
+            const rolls = rollPool[fabric.id] || [];
+            const rollLength = Number(fabric.rollLength) || DEFAULT_ROLL_LENGTH_MM;
+            const dropLength = getDropLength(cutLength, fabric);
+            const dropsAvailable = countDropsThatFit(rolls, dropLength);
+            const kinds = failures[fabric.id] || {};
+
+            const reasons = [];
+            if ('noStock' in kinds) {
+                reasons.push('No rolls in stock');
+            }
+            if ('outerTooWide' in kinds) {
+                reasons.push(`Outer panels are wider than the fabric with up to ${maxParts} panels (narrowest cut ${kinds.outerTooWide.toFixed(1)} mm)`);
+            }
+            if ('innerTooWide' in kinds) {
+                reasons.push(`Inner panels are wider than the fabric with up to ${maxParts} panels (narrowest cut ${kinds.innerTooWide.toFixed(1)} mm)`);
+            }
+            // Checked after the width, so a combination can fail on the width first
+            if ('dropTooLong' in kinds || (rolls.length > 0 && dropLength > rollLength)) {
+                reasons.push(`Drop of ${dropLength.toFixed(0)} mm is longer than the ${rollLength} mm roll`);
+            }
+            if ('tooFewDrops' in kinds) {
+                reasons.push(`Only ${dropsAvailable} drop${dropsAvailable === 1 ? '' : 's'} of ${dropLength.toFixed(0)} mm left on the rolls, ${kinds.tooFewDrops} or more needed`);
+            }
+
+            // Fewest panels of this fabric alone that are narrow enough, and the rolls that takes
+            let suggestion = null;
+            if (dropLength > rollLength) {
+                suggestion = `Use rolls longer than ${dropLength.toFixed(0)} mm, or reduce the height or allowances`;
+            } else {
+                // Every leaf is split on its own - the panels of all leaves are needed
+                const leafParts = leafFlatWidths.map(flatWidth => {
+                    for (let parts = minParts; parts <= MAX_PANELS_PER_CURTAIN; parts++) {
+                        const netWidth = Math.round(flatWidth / parts * 10) / 10;
+                        const innerIndices = Array.from({ length: Math.max(parts - 2, 0) }, (_, k) => k + 1);
+                        const outerCut = netWidth + (parts === 1 ? 2 * profile.outerEdge : outerFold);
+                        if (outerCut + getPatternMatchWidth(netWidth, [parts - 1], fabric) <= width &&
+                            (innerIndices.length === 0 || netWidth + innerFold + getPatternMatchWidth(netWidth, innerIndices, fabric) <= width)) {
+                            return parts;
+                        }
+                    }
+                    return null;
+                });
+                const neededParts = leafParts.includes(null) ? null : leafParts.reduce((sum, parts) => sum + parts, 0);
+                if (neededParts === null) {
+                    suggestion = `Too narrow even at ${MAX_PANELS_PER_CURTAIN} panels`;
+                } else if (neededParts > dropsAvailable) {
+                    const missingDrops = neededParts - dropsAvailable;
+                    const rollsToAdd = Math.ceil(missingDrops / Math.floor(rollLength / dropLength));
+                    suggestion = `Needs ${neededParts} panel${neededParts === 1 ? '' : 's'} - ${missingDrops} more drop${missingDrops === 1 ? '' : 's'} than the stock holds: add at least ${rollsToAdd} roll${rollsToAdd === 1 ? '' : 's'} of ${label}`;
+                }
+            }
+
+            // Widest curtain the drops left on this fabric can make - every panel at its widest net width
+            if (dropsAvailable >= minParts * leafFlatWidths.length) {
+                const netWidth = width - (dropsAvailable === 1 ? 2 * profile.outerEdge : Math.max(outerFold, innerFold));
+                const trackWidth = dropsAvailable * netWidth / getFullness(curtain);
+                if (netWidth > 0 && trackWidth > largestTrackWidth) {
+                    largestTrackWidth = trackWidth;
+                    largestFrom = `${dropsAvailable} panel${dropsAvailable === 1 ? '' : 's'} of ${label}`;
+                }
+            }
+
+            return { label, width, reasons, suggestion };
+        })
+        .filter(fabric => fabric.reasons.length > 0 || fabric.suggestion);
+
+    if (getCurtainFabrics(curtain).length === 0) {
+        fabrics.push({
+            label: getCurtainFabricLabel(curtain),
+            width: 0,
+            reasons: ['No widths of this fabric in the catalogue'],
+            suggestion: 'Add the widths of the fabric to the catalogue, or pick another fabric for the curtain'
+        });
+    }
+
+    // Lining layers - only the reasons, the suggestions are worked out for the face fabric
+    getCurtainLayers(curtain).forEach(layer => {
+        const layerFabrics = getFabricsOfType(curtain[`${layer.id}FabricTypeId`]);
+        if (layerFabrics.length === 0) {
+            fabrics.push({
+                label: `${layer.name}: ${getLayerFabricLabel(curtain, layer)}`,
+                width: 0,
+                reasons: [`No widths of the ${layer.name.toLowerCase()} fabric in the catalogue`],
+                suggestion: null
+            });
+        }
+        [...layerFabrics].sort((a, b) => Number(b.width) - Number(a.width)).forEach(fabric => {
+            const kinds = (layerFailures[layer.id] || {})[fabric.id];
+            if (!kinds) return;
+            const reasons = [];
+            if ('noStock' in kinds) {
+                reasons.push('No rolls in stock');
+            }
+            const tooWide = ['outerTooWide', 'innerTooWide'].filter(kind => kind in kinds).map(kind => kinds[kind]);
+            if (tooWide.length > 0) {
+                reasons.push(`${layer.name} panels are wider than the fabric (narrowest cut ${Math.min(...tooWide).toFixed(1)} mm)`);
+            }
+            if ('dropTooLong' in kinds) {
+                reasons.push(`${layer.name} drop of ${kinds.dropTooLong.toFixed(0)} mm is longer than the ${Number(fabric.rollLength) || DEFAULT_ROLL_LENGTH_MM} mm roll`);
+            }
+            if ('tooFewDrops' in kinds) {
+                reasons.push(`Too few ${layer.name.toLowerCase()} drops left on the rolls, ${kinds.tooFewDrops} or more needed`);
+            }
+            fabrics.push({ label: `${layer.name}: ${getFabricLabel(fabric)}`, width: Number(fabric.width), reasons, suggestion: null });
+        });
+    });
+
+    return { fabrics, largestTrackWidth, largestFrom, maxPartsCapped };
+}
+
+// Amount with the quote currency, e.g. "€ 125.50"
+function formatMoney(amount) {
+    const currency = state.costSettings.currency.trim();
+    return currency ? `${currency} ${amount.toFixed(2)}` : amount.toFixed(2);
+}
+
+/**
+ * Cost of one solved curtain - fabric from the roll assignment, labour from the quote settings
+ * Fabric is charged for the full length cut from the roll; the waste cost is the part of it
+ * paid for the strips left beside the panels.
+ *
+ * @param {Object} solution - Solution with its roll assignment (cuts)
+ * @returns {Object} { fabricMetres, fabricUsed, wasteCost, hemMetres, panelLabour, seamLabour, hemLabour, labour, subtotal, vat, total }
+ */
+function computeCurtainCost(solution) {
+    const settings = state.costSettings;
+    let fabricMetres = 0;
+    let fabricUsed = 0;
+    let wasteCost = 0;
+    solution.cuts.forEach(cut => {
+        const metrePrice = getFabricMetrePrice(getFabricEntry(cut.fabricId));
+        fabricMetres += cut.cutLength / 1000;
+        fabricUsed += cut.cutLength / 1000 * metrePrice;
+        // Waste strip across the roll, over the same length the waste area is measured on
+        const wasteLength = solution.railroaded ? cut.cutLength : getCutLayer(solution, cut).cutLength;
+        wasteCost += (cut.fabricWidth - cut.cutWidth) / cut.fabricWidth * wasteLength / 1000 * metrePrice;
+    });
+
+    // Hemmed edges: the two outer side hems of every leaf and the bottom hem across the flat width
+    const hemMetres = (2 * getPlanLeaves(solution).length * Number(solution.curtain.height) + solution.flatWidth) / 1000;
+    const panelLabour = solution.parts * settings.labourPerPanel;
+    const seamLabour = solution.seams * settings.labourPerSeam;
+    const hemLabour = hemMetres * settings.labourPerHemMetre;
+    const labour = panelLabour + seamLabour + hemLabour;
+    const subtotal = fabricUsed + labour;
+    const vat = subtotal * settings.vatRate / 100;
+
+    return { fabricMetres, fabricUsed, wasteCost, hemMetres, panelLabour, seamLabour, hemLabour, labour, subtotal, vat, total: subtotal + vat };
+}
+
+// Costs of every solved curtain and the project totals
+function computeProjectCost(projectResult) {
+    const curtains = projectResult.curtainResults
+        .filter(({ solution }) => solution)
+        .map(({ curtain, solution }) => ({ curtain, solution, cost: computeCurtainCost(solution) }));
+
+    const totals = { fabricMetres: 0, fabricUsed: 0, wasteCost: 0, labour: 0, subtotal: 0, vat: 0, total: 0 };
+    curtains.forEach(({ cost }) => {
+        Object.keys(totals).forEach(key => {
+            totals[key] += cost[key];
+        });
+    });
+    return { curtains, totals };
+}
+
+// Cost breakdown per curtain with the project totals
+function buildCostBreakdownHtml(projectCost) {
+    if (projectCost.curtains.length === 0 || projectCost.totals.total <= 0) return '';
+
+    const rows = projectCost.curtains.map(({ curtain, cost }) => `
+                <tr>
+                    <td>${escapeHtml(curtain.name)}</td>
+                    <td>${formatMoney(cost.fabricUsed)} <span class="muted">(${cost.fabricMetres.toFixed(2)} m)</span></td>
+                    <td>${formatMoney(cost.wasteCost)}</td>
+                    <td>${formatMoney(cost.labour)}</td>
+                    <td>${formatMoney(cost.total)}</td>
+                </tr>`).join('');
+    const { totals } = projectCost;
+
+    return `
+        <div class="cost-breakdown">
+            <h3>Cost Estimate</h3>
+            <table class="results-table">
+                <thead>
+                    <tr><th>Curtain</th><th>Fabric Used</th><th>of which Waste</th><th>Labour</th><th>Total</th></tr>
+                </thead>
+                <tbody>${rows}
+                </tbody>
+                <tfoot>
+                    <tr><td>Subtotal</td><td>${formatMoney(totals.fabricUsed)}</td><td>${formatMoney(totals.wasteCost)}</td><td>${formatMoney(totals.labour)}</td><td>${formatMoney(totals.subtotal)}</td></tr>
+                    <tr><td colspan="4">VAT ${state.costSettings.vatRate}%</td><td>${formatMoney(totals.vat)}</td></tr>
+                    <tr class="cost-total"><td colspan="4">Total</td><td>${formatMoney(totals.total)}</td></tr>
+                </tfoot>
+            </table>
+        </div>
+    `;
+}
+
+// Display calculation results - project totals followed by a breakdown per curtain
+function displayResults(projectResult) {
+    const resultsDiv = document.getElementById('results');
+    const { curtainResults, totals } = projectResult;
+
+    const rollsSummary = Object.keys(totals.rollsByFabric)
+        .sort((a, b) => parseFloat(b) - parseFloat(a))
+        .map(label => `${totals.rollsByFabric[label]} × ${escapeHtml(label)}`)
+        .join(', ');
+
+    const curtainsHtml = curtainResults.map(({ curtain, solution, alternatives, ruledOut, diagnostics }) => {
+        if (!solution) {
+            return `
+        <div class="curtain-result unsolved">
+            <div class="curtain-result-header">
+                <span class="curtain-result-name">${escapeHtml(curtain.name)}</span>
+                <span class="curtain-result-size">${curtain.width} × ${curtain.height} mm · ${escapeHtml(getCurtainFabricLabel(curtain))}</span>
+            </div>
+            <div class="error-message">${ruledOut.length > 0 ? 'Every possible plan breaks a plan constraint.' : 'No valid solution found with the remaining inventory.'}</div>
+            ${buildRuledOutHtml(null, ruledOut)}
+            ${buildDiagnosticsHtml(curtain, diagnostics)}
+        </div>`;
+        }
+        return `
+        <details class="curtain-result" data-curtain-id="${curtain.id}">
+            <summary class="curtain-result-header">
+                <span class="curtain-result-name">${escapeHtml(curtain.name)}</span>
+                <span class="curtain-result-size">${curtain.width} × ${curtain.height} mm · ${escapeHtml(getCurtainFabricLabel(curtain))} · ${solution.railroaded ? 'railroaded' : `${solution.parts} panel${solution.parts === 1 ? '' : 's'}`} · ${solution.waste.toFixed(1)} mm waste</span>
+                <button class="btn-show-diagram" data-curtain-id="${curtain.id}">Show Diagram</button>
+            </summary>
+            ${buildRuledOutHtml(solution, ruledOut)}
+            ${buildPlanComparisonHtml(curtain, alternatives)}
+            ${buildSolutionResultsHtml(solution)}
+        </details>`;
+    }).join('');
+
+    // Display only in mm
+    const html = `
+        <div class="project-summary">
+            <div class="result-item">
+                <strong>Curtains Solved:</strong> ${totals.solvedCurtains} / ${totals.curtains}
+            </div>
+            <div class="result-item">
+                <strong>Total Panels:</strong> ${totals.panels}
+            </div>
+            <div class="result-item">
+                <strong>Total Rolls Needed:</strong> ${rollsSummary || '-'}
+            </div>
+            ${totals.remnantsUsed > 0 ? `
+            <div class="result-item">
+                <strong>Remnants Used:</strong> ${totals.remnantsUsed}
+            </div>` : ''}
+            ${projectResult.keptRemnants && projectResult.keptRemnants.length > 0 ? `
+            <div class="result-item">
+                <strong>Offcuts Kept as Remnants:</strong> ${projectResult.keptRemnants.length}
+            </div>` : ''}
+            ${Object.keys(totals.metresByLayer).length > 1 ? `
+            <div class="result-item">
+                <strong>Fabric by Layer:</strong> ${Object.entries(totals.metresByLayer).map(([name, metres]) => `${name} ${metres.toFixed(2)} m`).join(' · ')}
+            </div>` : ''}
+            <div class="result-item">
+                <strong>Total Fabric Waste:</strong> ${totals.waste.toFixed(1)} mm (${totals.wasteArea.toFixed(2)} m²)
+            </div>
+            ${totals.patternMatchArea > 0 ? `
+            <div class="result-item">
+                <strong>Pattern Matching:</strong> ${totals.patternMatchArea.toFixed(2)} m² extra fabric
+            </div>` : ''}
+            <div class="result-item">
+                <strong>Left on Opened Rolls:</strong> ${totals.remainingLength.toFixed(0)} mm
+            </div>
+        </div>
+        ${buildCostBreakdownHtml(computeProjectCost(projectResult))}
+        <div class="curtain-results">
+            ${curtainsHtml}
+        </div>
+        ${buildRollUsageHtml(projectResult.rolls)}
+    `;
+    
+    resultsDiv.innerHTML = html;
+
+    resultsDiv.querySelectorAll('.btn-show-diagram').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            e.preventDefault(); // Don't toggle the details element
+            showCurtainDiagram(parseInt(btn.dataset.curtainId));
+        });
+    });
+
+    // Clicking a plan in a comparison table redraws the diagram for that plan
+    resultsDiv.querySelectorAll('.plan-comparison tr[data-plan-index]').forEach(row => {
+        row.addEventListener('click', () => {
+            showCurtainDiagram(parseInt(row.dataset.curtainId), parseInt(row.dataset.planIndex));
+        });
+    });
+}
+
+// Plans the constraints ruled out - how many each constraint removed, and the better plan
+// the planner gave up when a constraint removed it
+function buildRuledOutHtml(solution, ruledOut) {
+    if (ruledOut.length === 0) return '';
+
+    const countsByReason = {};
+    ruledOut.forEach(({ reasons }) => {
+        reasons.forEach(reason => {
+            countsByReason[reason] = (countsByReason[reason] || 0) + 1;
+        });
+    });
+    const reasonsHtml = Object.keys(countsByReason)
+        .map(reason => `${escapeHtml(reason)} (${countsByReason[reason]})`)
+        .join(', ');
+
+    const best = ruledOut[0];
+    const bestIsBetter = !solution || comparePlans(best.plan, solution, state.objective) < 0;
+    return `
+            <div class="result-item constraint-note">
+                <strong>Ruled Out:</strong> ${ruledOut.length} plan${ruledOut.length === 1 ? '' : 's'} - ${reasonsHtml}
+                ${bestIsBetter ? `
+                <br><span style="margin-left: 184px; color: #666;">(Best ruled-out plan: ${best.plan.railroaded ? 'railroaded' : `${best.plan.parts} panel${best.plan.parts === 1 ? '' : 's'}`} of ${escapeHtml(best.plan.outerFabricLabel)}, ${best.plan.waste.toFixed(1)} mm waste - ${escapeHtml(best.reasons.join(', '))})</span>` : ''}
+            </div>`;
+}
+
+// Why a curtain couldn't be cut, grouped by fabric width, with the suggested fixes
+function buildDiagnosticsHtml(curtain, diagnostics) {
+    if (!diagnostics) return '';
+
+    const fabricsHtml = diagnostics.fabrics.map(fabric => `
+                <li>
+                    <strong>${escapeHtml(fabric.label)}</strong>
+                    <ul>
+                        ${fabric.reasons.map(reason => `<li>${escapeHtml(reason)}</li>`).join('')}
+                        ${fabric.suggestion ? `<li class="suggestion">${escapeHtml(fabric.suggestion)}</li>` : ''}
+                    </ul>
+                </li>`).join('');
+
+    return `
+            <div class="diagnostics">
+                <ul class="diagnostics-list">${fabricsHtml}
+                </ul>
+                ${diagnostics.maxPartsCapped ? `
+                <p>The solver tries at most ${MAX_PANELS_PER_CURTAIN} panels per curtain.</p>` : ''}
+                ${diagnostics.largestTrackWidth > 0 && diagnostics.largestTrackWidth < Number(curtain.width) ? `
+                <p class="suggestion">Largest track width the stock can make: about ${diagnostics.largestTrackWidth.toFixed(0)} mm (${escapeHtml(diagnostics.largestFrom)})</p>` : ''}
+            </div>`;
+}
+
+// Ranked alternative plans of a curtain - the first one is the chosen plan
+function buildPlanComparisonHtml(curtain, alternatives) {
+    if (!alternatives || alternatives.length < 2) return '';
+    const showCost = alternatives.some(plan => plan.fabricCost > 0);
+
+    const rows = alternatives.map((plan, index) => `
+                <tr data-curtain-id="${curtain.id}" data-plan-index="${index}"${index === 0 ? ' class="chosen"' : ''}>
+                    <td>${index + 1}</td>
+                    <td>${plan.railroaded ? `${plan.parts} (railroaded)` : plan.parts}</td>
+                    <td>${escapeHtml(plan.outerFabricLabel)} / ${plan.innerPanelWidth > 0 ? escapeHtml(plan.innerFabricLabel) : '-'}</td>
+                    <td>${plan.outerPanelWidth.toFixed(1)} / ${plan.innerPanelWidth > 0 ? plan.innerPanelWidth.toFixed(1) : '-'}</td>
+                    <td>${plan.waste.toFixed(1)} mm (${plan.wasteArea.toFixed(2)} m²)</td>
+                    <td>${plan.rollsUsed}${plan.newRolls > 0 ? ` (${plan.newRolls} new)` : ''}</td>
+                    <td>${plan.seams}</td>${showCost ? `
+                    <td>${plan.fabricCost.toFixed(2)}</td>` : ''}
+                </tr>`).join('');
+
+    return `
+            <div class="plan-comparison">
+                <table class="results-table">
+                    <thead>
+                        <tr><th>#</th><th>Panels</th><th>Outer / Inner Fabric</th><th>Outer / Inner Cut (mm)</th><th>Waste</th><th>Rolls</th><th>Seams</th>${showCost ? '<th>Fabric Cost</th>' : ''}</tr>
+                    </thead>
+                    <tbody>${rows}
+                    </tbody>
+                </table>
+            </div>`;
+}
+
+// Results of a single curtain solution
+function buildSolutionResultsHtml(solution) {
+    // Check if solution uses different fabrics for outer and inner panels
+    const usesDifferentWidths = solution.outerFabricId !== solution.innerFabricId;
+    const face = getLayerQuantities(solution, solution);
+    
+    // Display only in mm
+    return `
+        <div class="result-item">
+            <strong>Number of Panels:</strong> ${solution.parts}
         </div>
         ${usesDifferentWidths ? `
         <div class="result-item">
-            <strong>Outer Panels Fabric:</strong> ${solution.outerFabricWidth} mm
+            <strong>Outer Panels Fabric:</strong> ${escapeHtml(solution.outerFabricLabel)}
             <br><span style="margin-left: 184px; color: #666;">(${solution.outerRollsNeeded} rolls needed)</span>
         </div>
         <div class="result-item">
-            <strong>Inner Panels Fabric:</strong> ${solution.innerFabricWidth} mm
+            <strong>Inner Panels Fabric:</strong> ${escapeHtml(solution.innerFabricLabel)}
             <br><span style="margin-left: 184px; color: #666;">(${solution.innerRollsNeeded} rolls needed)</span>
         </div>
         ` : `
         <div class="result-item">
-            <strong>Fabric Width:</strong> ${solution.outerFabricWidth} mm
-            <br><span style="margin-left: 184px; color: #666;">(${solution.outerRollsNeeded + solution.innerRollsNeeded} rolls needed)</span>
+            <strong>Fabric Width:</strong> ${escapeHtml(solution.outerFabricLabel)}
+            <br><span style="margin-left: 184px; color: #666;">(${face.rolls} rolls needed)</span>
         </div>
         `}
+        <div class="result-item">
+            <strong>Fullness:</strong> ${solution.fullness.toFixed(2)}× (${getHeadingName(solution.curtain.headingType)})
+            <br><span style="margin-left: 184px; color: #666;">(Track ${solution.trackWidth.toFixed(0)} mm → flat fabric width ${solution.flatWidth.toFixed(0)} mm)</span>
+        </div>
+        <div class="result-item">
+            <strong>Allowance Profile:</strong> ${escapeHtml(solution.profileName)}
+            <br><span style="margin-left: 184px; color: #666;">(Outer edge ${solution.outerEdgeAllowance} mm, inner edge ${solution.innerEdgeAllowance} mm)</span>
+        </div>
+        ${solution.leaves ? buildLeafSizesHtml(solution) : solution.railroaded ? `
+        <div class="result-item">
+            <strong>Railroaded Piece:</strong> ${solution.railroadLength.toFixed(1)} mm along the roll
+            <br><span style="margin-left: 184px; color: #666;">(Fabric turned - one seamless piece, net ${solution.netWidth.toFixed(1)} mm after folding)</span>
+        </div>
+        <div class="result-item">
+            <strong>Cut Drop:</strong> ${solution.cutLength.toFixed(0)} mm across the ${solution.outerFabricWidth} mm roll width
+            <br><span style="margin-left: 184px; color: #666;">(Height ${solution.curtain.height} + heading ${solution.headerAllowance} + hem ${solution.hemAllowance} mm)</span>
+        </div>
+        ` : `
         <div class="result-item">
             <strong>Net Width per Panel:</strong> ${solution.netWidth.toFixed(1)} mm
         </div>
         <div class="result-item">
-            <strong>Outer Panel Width:</strong> ${solution.outerPanelWidth.toFixed(1)} mm
-            <br><span style="margin-left: 184px; color: #666;">(Net: ${solution.netWidth.toFixed(1)} mm after folding)</span>
+            <strong>${solution.parts === 1 ? 'Panel Width' : 'Outer Panel Width'}:</strong> ${solution.outerPanelWidth.toFixed(1)} mm
+            <br><span style="margin-left: 184px; color: #666;">(Net: ${solution.netWidth.toFixed(1)} mm after folding${solution.parts === 1 ? ' - outer edge hem on both sides' : ''})</span>
         </div>
+        ${solution.parts > 2 ? `
         <div class="result-item">
             <strong>Inner Panel Width:</strong> ${solution.innerPanelWidth.toFixed(1)} mm
             <br><span style="margin-left: 184px; color: #666;">(Net: ${solution.netWidth.toFixed(1)} mm after folding)</span>
         </div>
+        ` : ''}
+        <div class="result-item">
+            <strong>Cut Length per Panel:</strong> ${solution.cutLength.toFixed(0)} mm
+            <br><span style="margin-left: 184px; color: #666;">(Height ${solution.curtain.height} + heading ${solution.headerAllowance} + hem ${solution.hemAllowance} mm)</span>
+            <br><span style="margin-left: 184px; color: #666;">(${solution.outerPanelsPerRoll} panels per full roll)</span>
+        </div>
+        `}
+        <div class="result-item">
+            <strong>Total Fabric Waste:</strong> ${solution.waste.toFixed(1)} mm (${solution.wasteArea.toFixed(2)} m²)
+        </div>
+        ${solution.patternMatchArea > 0 ? `
+        <div class="result-item">
+            <strong>Pattern Matching:</strong> ${solution.patternMatchArea.toFixed(2)} m² extra fabric (not counted as waste)
+            <br><span style="margin-left: 184px; color: #666;">(Drops cut at ${solution.outerDropLength.toFixed(0)}${solution.innerDropLength && solution.innerDropLength !== solution.outerDropLength ? ` / ${solution.innerDropLength.toFixed(0)}` : ''} mm for the vertical repeat)</span>
+            <br><span style="margin-left: 184px; color: #666;">(+${solution.outerMatchWidth.toFixed(1)} mm outer, +${solution.innerMatchWidth.toFixed(1)} mm inner panel width for the horizontal repeat)</span>
+        </div>
+        ` : ''}
+        ${solution.layers.length > 0 ? `
+        <div class="result-item">
+            <strong>Face Fabric:</strong> ${face.metres.toFixed(2)} m in ${face.drops} drop${face.drops === 1 ? '' : 's'}
+        </div>
+        ` : ''}
+        ${solution.layers.map(layer => buildLiningLayerHtml(solution, layer)).join('')}
         <div class="result-item">
-            <strong>Total Fabric Waste:</strong> ${solution.waste.toFixed(1)} mm
+            <strong>Roll Assignment:</strong>
+            <ul class="roll-assignment">
+                ${solution.cuts.map(cut => `
+                <li>Panel ${cut.panelIndex + 1} (${getCutRoleLabel(cut)}, label ${getPanelLabel(cut)}) → ${escapeHtml(cut.fabricLabel)} ${getRollName(cut.rollNumber, cut.remnantId).toLowerCase()}, ${cut.offset.toFixed(0)}–${(cut.offset + cut.cutLength).toFixed(0)} mm</li>
+                `).join('')}
+            </ul>
         </div>
     `;
-    
-    resultsDiv.innerHTML = html;
+}
+
+// Layout, panel sizes and cut length of a solution of several leaves - every leaf on its own line
+function buildLeafSizesHtml(solution) {
+    const leavesHtml = solution.leaves.map((leaf, index) => {
+        const sizes = leaf.railroaded
+            ? `one piece ${leaf.railroadLength.toFixed(1)} mm along the roll, net ${leaf.netWidth.toFixed(1)} mm after folding`
+            : `${leaf.parts} panel${leaf.parts === 1 ? '' : 's'} of net ${leaf.netWidth.toFixed(1)} mm · outer ${leaf.outerPanelWidth.toFixed(1)} mm${leaf.parts > 2 ? `, inner ${leaf.innerPanelWidth.toFixed(1)} mm` : ''} wide`;
+        return `
+        <div class="result-item">
+            <strong>Leaf ${index + 1}:</strong> track ${leaf.trackWidth.toFixed(0)} mm → flat width ${leaf.flatWidth.toFixed(0)} mm
+            <br><span style="margin-left: 184px; color: #666;">(${sizes})</span>
+        </div>`;
+    }).join('');
+
+    return `
+        <div class="result-item">
+            <strong>Layout:</strong> ${escapeHtml(getCurtainLayoutLabel(solution.curtain))}
+            <br><span style="margin-left: 184px; color: #666;">(Every leaf has its own outer edges)</span>
+        </div>
+        ${leavesHtml}
+        <div class="result-item">
+            <strong>${solution.railroaded ? 'Cut Drop' : 'Cut Length per Panel'}:</strong> ${solution.cutLength.toFixed(0)} mm${solution.railroaded ? ` across the ${solution.outerFabricWidth} mm roll width` : ''}
+            <br><span style="margin-left: 184px; color: #666;">(Height ${solution.curtain.height} + heading ${solution.headerAllowance} + hem ${solution.hemAllowance} mm)</span>
+        </div>`;
+}
+
+// Fabric, cut sizes and quantities of one lining layer of a solution - the sizes per leaf for several leaves
+function buildLiningLayerHtml(solution, layer) {
+    const quantities = getLayerQuantities(solution, layer);
+    const layerIndex = solution.layers.indexOf(layer);
+    const sizes = getPlanLeaves(solution).map((leaf, leafIndex) => {
+        const leafLayer = solution.leaves ? leaf.layers[layerIndex] : layer;
+        const text = solution.railroaded
+            ? `one piece ${leafLayer.outerPanelWidth.toFixed(1)} mm along the roll, ${leafLayer.cutLength.toFixed(0)} mm drop across it`
+            : `outer ${leafLayer.outerPanelWidth.toFixed(1)} mm${leafLayer.innerPanelWidth > 0 ? `, inner ${leafLayer.innerPanelWidth.toFixed(1)} mm` : ''} wide, cut ${leafLayer.cutLength.toFixed(0)} mm long`;
+        return solution.leaves ? `leaf ${leafIndex + 1}: ${text}` : text;
+    }).join('; ');
+    return `
+        <div class="result-item">
+            <strong>${layer.name}:</strong> ${escapeHtml(layer.fabricLabel)}
+            <br><span style="margin-left: 184px; color: #666;">(${sizes})</span>
+            <br><span style="margin-left: 184px; color: #666;">(${quantities.metres.toFixed(2)} m in ${quantities.drops} drop${quantities.drops === 1 ? '' : 's'} · ${quantities.rolls} rolls needed${quantities.remnants > 0 ? `, ${quantities.remnants} remnant${quantities.remnants === 1 ? '' : 's'}` : ''} · ${layer.waste.toFixed(1)} mm waste)</span>
+            <br><span style="margin-left: 184px; color: #666;">(Outer edge ${layer.outerEdgeAllowance} mm, inner edge ${layer.innerEdgeAllowance} mm, heading ${layer.headerAllowance} mm, hem ${layer.hemAllowance} mm)</span>
+        </div>`;
+}
+
+// Drops, metres, rolls and remnants a solution cuts for one of its layers (the solution itself for the face fabric)
+function getLayerQuantities(solution, layer) {
+    const layerId = layer === solution ? 'face' : layer.id;
+    const cuts = solution.cuts.filter(cut => (cut.layer || 'face') === layerId);
+    const countRolls = isRemnant => new Set(cuts.filter(cut => Boolean(cut.remnantId) === isRemnant).map(cut => cut.rollId)).size;
+    return {
+        drops: cuts.length,
+        metres: cuts.reduce((sum, cut) => sum + cut.cutLength, 0) / 1000,
+        rolls: countRolls(false),
+        remnants: countRolls(true)
+    };
+}
+
+// Length used and left on every opened roll
+function buildRollUsageHtml(rolls) {
+    if (rolls.length === 0) return '';
+
+    const rows = rolls.map(roll => `
+                <tr>
+                    <td>${getRollName(roll.number, roll.remnantId)} (${escapeHtml(getRollFabricLabel(roll))})</td>
+                    <td>${roll.cuts.length}</td>
+                    <td>${roll.used.toFixed(0)} mm</td>
+                    <td>${(roll.length - roll.used).toFixed(0)} mm</td>
+                </tr>`).join('');
+
+    return `
+        <div class="roll-usage">
+            <h3>Roll Usage</h3>
+            <table class="results-table">
+                <thead>
+                    <tr><th>Roll</th><th>Drops</th><th>Used</th><th>Remaining</th></tr>
+                </thead>
+                <tbody>${rows}
+                </tbody>
+            </table>
+        </div>
+    `;
+}
+
+// Draw the diagram of one solved curtain and highlight it in the results
+// planIndex picks one of the ranked alternative plans (0, the chosen plan, by default)
+function showCurtainDiagram(curtainId, planIndex = 0) {
+    if (!state.projectResult) return;
+    const result = state.projectResult.curtainResults.find(r => r.curtain.id === curtainId);
+    if (!result || !result.solution) return;
+    const plan = planIndex > 0 ? result.alternatives[planIndex] : result.solution;
+    if (!plan) return;
+
+    document.querySelectorAll('.curtain-result').forEach(el => {
+        el.classList.toggle('selected', parseInt(el.dataset.curtainId) === curtainId);
+    });
+    document.querySelectorAll('.plan-comparison tr[data-plan-index]').forEach(row => {
+        row.classList.toggle('selected', parseInt(row.dataset.curtainId) === curtainId && parseInt(row.dataset.planIndex) === planIndex);
+    });
+    renderDiagram(plan);
 }
 
 // Render visual diagram using SVG
 function renderDiagram(solution) {
     const container = document.getElementById('diagram-container');
     container.innerHTML = '';
-    
+
+    const { svg } = buildDiagramSvg(solution);
+
+    // Store SVG reference for PDF export
+    state.diagramSVG = svg;
+    state.diagramSolution = solution;
+
+    container.appendChild(svg);
+}
+
+/**
+ * Build the diagram SVG of one solution
+ * The corner detail images are embedded as base64 once they have loaded.
+ *
+ * @param {Object} solution - Solved curtain plan
+ * @returns {Object} { svg, imagesLoaded } - imagesLoaded resolves when every image has its href
+ */
+function buildDiagramSvg(solution) {
+    const imageLoads = [];
+
     // Always use English for diagram labels (project/curtain names can be in Hebrew)
     const t = translations.en;
     const isRTL = false; // Always LTR for English labels
@@ -365,12 +4070,7 @@ function renderDiagram(solution) {
     // Get project and curtain names early (before using them in viewBox calculation)
     // Use safe access to prevent errors if state properties are undefined
     const projectName = (state.projectName && state.projectName.trim()) || '';
-    const curtainName = (state.curtainName && state.curtainName.trim()) || '';
-    
-    // Get container dimensions to use full available space
-    const containerRect = container.getBoundingClientRect();
-    const maxWidth = containerRect.width || 1200; // Fallback if container not ready
-    const maxHeight = containerRect.height || 600; // Fallback if container not ready
+    const curtainName = (solution.curtain.name && solution.curtain.name.trim()) || '';
     
     // Fixed diagram dimensions - based on PDF page size with margins
     // Calculate based on PDF page size (A4 landscape: 297mm x 210mm)
@@ -390,13 +4090,17 @@ function renderDiagram(solution) {
     
     // Fixed gap between panels
     const gapPixels = 40; // Fixed gap between panels in pixels
+    // Leaves of a pair or custom layout are set further apart - each one is drawn with its own outer edges
+    const panels = getPlanPanels(solution);
+    const leafCount = getPlanLeaves(solution).length;
+    const leafGapPx = gapPixels; // added to the gap between two leaves
     
     // Calculate panel dimensions based on number of parts
     // totalWidth = 2 * outerPanelWidth + (parts - 2) * innerPanelWidth + (parts - 1) * gap
     // Since outerPanelWidth = innerPanelWidth (same visual size), we can simplify:
     // totalWidth = parts * panelWidth + (parts - 1) * gap
     // So: panelWidth = (totalWidth - (parts - 1) * gap) / parts
-    const panelWidth = Math.floor((FIXED_DIAGRAM_WIDTH - (solution.parts - 1) * gapPixels) / solution.parts);
+    const panelWidth = Math.floor((FIXED_DIAGRAM_WIDTH - (solution.parts - 1) * gapPixels - (leafCount - 1) * leafGapPx) / solution.parts);
     
     // Use fixed dimensions for display
     const panelHeight = FIXED_DIAGRAM_HEIGHT; // Constant height
@@ -405,7 +4109,9 @@ function renderDiagram(solution) {
     const gapPx = gapPixels;
     
     // Total diagram width (should equal FIXED_DIAGRAM_WIDTH)
-    const totalWidthPx = 2 * outerPanelWidth + (solution.parts - 2) * innerPanelWidth + (solution.parts - 1) * gapPx;
+    const totalWidthPx = 2 * outerPanelWidth + (solution.parts - 2) * innerPanelWidth + (solution.parts - 1) * gapPx + (leafCount - 1) * leafGapPx;
+    // Distance from a panel to the next one
+    const getPanelStep = panel => panelWidth + gapPx + (panel.isLast ? leafGapPx : 0);
     
     // Starting position - exactly 10px from top, with margin for height indicator on left
     const startX = 80;
@@ -484,8 +4190,8 @@ function renderDiagram(solution) {
     heightLabel.setAttribute('font-size', '12');
     heightLabel.setAttribute('font-weight', '600');
     heightLabel.setAttribute('fill', '#000');
-    // Display only in mm
-    heightLabel.textContent = `${state.curtainHeight.toFixed(0)} mm`;
+    // Display only in mm - the panels are drawn at their cut drop, the finished height is shown with it
+    heightLabel.textContent = `Cut drop ${solution.cutLength.toFixed(0)} mm (finished ${solution.curtain.height.toFixed(0)} mm)`;
     svg.appendChild(heightLabel);
     
     // Add project name and curtain name at the center top of SVG (for PDF export with Unicode support)
@@ -513,12 +4219,18 @@ function renderDiagram(solution) {
         svg.appendChild(titleTextElement);
     }
     
-    // Draw panels
+    // Draw panels - every leaf has outer edges at its first and last panel
     let currentX = startX;
-    for (let i = 0; i < solution.parts; i++) {
-        const isOuter = i === 0 || i === solution.parts - 1;
+    let leafStartX = startX;
+    for (const panel of panels) {
+        const i = panel.index;
+        const leaf = panel.leaf;
+        const isOuter = panel.isOuter;
         const panelWidth = isOuter ? outerPanelWidth : innerPanelWidth;
-        const totalWidth = isOuter ? solution.outerPanelWidth : solution.innerPanelWidth;
+        const totalWidth = isOuter ? leaf.outerPanelWidth : leaf.innerPanelWidth;
+        if (panel.isFirst) {
+            leafStartX = currentX;
+        }
 
         // Panel rectangle (white fill, black border)
         const panelRect = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
@@ -532,10 +4244,10 @@ function renderDiagram(solution) {
         svg.appendChild(panelRect);
         
         // Fold lines (dashed vertical lines) - calculate position based on proportion of panel width
-        // Outer panels: 140mm (outer edge) + 40mm (inner edge) = 180mm total
-        // Inner panels: 40mm on each side = 80mm total
-        const OUTER_FOLD_MM = 140; // 140mm (outer edge)
-        const INNER_FOLD_MM = 40;  // 40mm (inner edge or both sides for inner panels)
+        // Outer panels: outer edge hem + inner edge allowance (140 + 40 mm in the standard profile)
+        // Inner panels: inner edge allowance on each side (40 + 40 mm in the standard profile)
+        const OUTER_FOLD_MM = solution.outerEdgeAllowance; // outer edge
+        const INNER_FOLD_MM = solution.innerEdgeAllowance; // inner edge or both sides for inner panels
         let leftFoldX, rightFoldX;
         
         // Calculate fold positions as proportion of panel width (fixed display size)
@@ -543,7 +4255,11 @@ function renderDiagram(solution) {
         const foldScale = panelWidth / totalWidth; // Scale factor for this panel
         
         if (isOuter) {
-            if (i === 0) {
+            if (panel.isFirst && panel.isLast) {
+                // Single piece: outer edge fold on both sides
+                leftFoldX = currentX + OUTER_FOLD_MM * foldScale;
+                rightFoldX = currentX + panelWidth - OUTER_FOLD_MM * foldScale;
+            } else if (panel.isFirst) {
                 // Left outer panel: 140mm fold on left (outer edge), 40mm fold on right (inner edge)
                 leftFoldX = currentX + OUTER_FOLD_MM * foldScale; // 140mm from left edge
                 rightFoldX = currentX + panelWidth - INNER_FOLD_MM * foldScale; // 40mm from right edge
@@ -574,18 +4290,18 @@ function renderDiagram(solution) {
         let leftLabelX = leftFoldX;
         let leftLabelText = '';
         
-        if (isOuter && i === 0) {
-            // Left outer: 140mm fold is at leftFoldX, label should be at the left edge (currentX)
+        if (panel.isFirst) {
+            // Left outer: outer edge fold is at leftFoldX, label should be at the left edge (currentX)
             leftLabelX = currentX; // Label at left edge
-            leftLabelText = `140 mm`;
-        } else if (isOuter && i === solution.parts - 1) {
-            // Right outer: 40mm fold is at leftFoldX
+            leftLabelText = `${OUTER_FOLD_MM} mm`;
+        } else if (panel.isLast) {
+            // Right outer: inner edge fold is at leftFoldX
             leftLabelX = leftFoldX;
-            leftLabelText = `40 mm`;
+            leftLabelText = `${INNER_FOLD_MM} mm`;
         } else {
-            // Inner: 40mm fold is at leftFoldX
+            // Inner: inner edge fold is at leftFoldX
             leftLabelX = leftFoldX;
-            leftLabelText = `40 mm`;
+            leftLabelText = `${INNER_FOLD_MM} mm`;
         }
         
         leftFoldLabel.setAttribute('x', leftLabelX);
@@ -624,12 +4340,12 @@ function renderDiagram(solution) {
         rightFoldLabel.setAttribute('font-weight', '600');
         rightFoldLabel.setAttribute('fill', '#666');
         // Always LTR for English labels
-        if (isOuter && i === 0) {
-            rightFoldLabel.textContent = `40 mm`;
-        } else if (isOuter && i === solution.parts - 1) {
-            rightFoldLabel.textContent = `140 mm`;
+        if (panel.isFirst && !panel.isLast) {
+            rightFoldLabel.textContent = `${INNER_FOLD_MM} mm`;
+        } else if (panel.isLast) {
+            rightFoldLabel.textContent = `${OUTER_FOLD_MM} mm`;
         } else {
-            rightFoldLabel.textContent = `40 mm`;
+            rightFoldLabel.textContent = `${INNER_FOLD_MM} mm`;
         }
         svg.appendChild(rightFoldLabel);
         
@@ -658,9 +4374,82 @@ function renderDiagram(solution) {
         netWidthLabel.setAttribute('fill', '#666');
         // Always LTR for English labels
         // Display only in mm
-        netWidthLabel.textContent = `${solution.netWidth.toFixed(1)} mm`;
+        netWidthLabel.textContent = `${leaf.netWidth.toFixed(1)} mm`;
         svg.appendChild(netWidthLabel);
         
+        // Heading and hem allowance lines (horizontal dashed lines across the panel)
+        const allowanceScale = panelHeight / solution.cutLength;
+        const allowanceLines = [
+            { y: startY + solution.headerAllowance * allowanceScale, text: `Heading ${solution.headerAllowance.toFixed(0)} mm`, mm: solution.headerAllowance, labelDy: 12 },
+            { y: startY + panelHeight - solution.hemAllowance * allowanceScale, text: `Hem ${solution.hemAllowance.toFixed(0)} mm`, mm: solution.hemAllowance, labelDy: -4 }
+        ];
+        allowanceLines.forEach(allowance => {
+            if (allowance.mm <= 0) return;
+            const allowanceLine = document.createElementNS('http://www.w3.org/2000/svg', 'line');
+            allowanceLine.setAttribute('x1', currentX);
+            allowanceLine.setAttribute('y1', allowance.y);
+            allowanceLine.setAttribute('x2', currentX + panelWidth);
+            allowanceLine.setAttribute('y2', allowance.y);
+            allowanceLine.setAttribute('stroke', '#666');
+            allowanceLine.setAttribute('stroke-width', '1.5');
+            allowanceLine.setAttribute('stroke-dasharray', '4,4');
+            svg.appendChild(allowanceLine);
+            
+            // Label the allowance once, on the first panel
+            if (i === 0) {
+                const allowanceLabel = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+                allowanceLabel.setAttribute('x', currentX + panelWidth / 2);
+                allowanceLabel.setAttribute('y', allowance.y + allowance.labelDy);
+                allowanceLabel.setAttribute('text-anchor', 'middle');
+                allowanceLabel.setAttribute('font-size', '10');
+                allowanceLabel.setAttribute('font-weight', '600');
+                allowanceLabel.setAttribute('fill', '#666');
+                allowanceLabel.textContent = allowance.text;
+                svg.appendChild(allowanceLabel);
+            }
+        });
+        
+        // Lining layers: dashed outline of the layer's panel, placed so its net width and finished
+        // height line up with the face panel's
+        leaf.layers.forEach((layer, layerIndex) => {
+            const colour = LINING_LAYERS.find(l => l.id === layer.id).colour;
+            const faceLeftMm = panel.isFirst ? OUTER_FOLD_MM : INNER_FOLD_MM;
+            const layerLeftMm = panel.isFirst ? layer.outerEdgeAllowance : layer.innerEdgeAllowance;
+            const outlineX = currentX + (faceLeftMm - layerLeftMm) * foldScale;
+            const outlineY = startY + (solution.headerAllowance - layer.headerAllowance) * allowanceScale;
+            const outlineWidth = (isOuter ? layer.outerPanelWidth : layer.innerPanelWidth) * foldScale;
+            const outlineHeight = layer.cutLength * allowanceScale;
+            [
+                [outlineX, outlineY, outlineX + outlineWidth, outlineY],
+                [outlineX + outlineWidth, outlineY, outlineX + outlineWidth, outlineY + outlineHeight],
+                [outlineX + outlineWidth, outlineY + outlineHeight, outlineX, outlineY + outlineHeight],
+                [outlineX, outlineY + outlineHeight, outlineX, outlineY]
+            ].forEach(([x1, y1, x2, y2]) => {
+                const outlineLine = document.createElementNS('http://www.w3.org/2000/svg', 'line');
+                outlineLine.setAttribute('x1', x1);
+                outlineLine.setAttribute('y1', y1);
+                outlineLine.setAttribute('x2', x2);
+                outlineLine.setAttribute('y2', y2);
+                outlineLine.setAttribute('stroke', colour);
+                outlineLine.setAttribute('stroke-width', '1.5');
+                outlineLine.setAttribute('stroke-dasharray', '8,4');
+                svg.appendChild(outlineLine);
+            });
+
+            // Name the layer once, on the first panel, below the net width
+            if (i === 0) {
+                const layerLabel = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+                layerLabel.setAttribute('x', currentX + panelWidth / 2);
+                layerLabel.setAttribute('y', startY + panelHeight / 2 + 20 + layerIndex * 14);
+                layerLabel.setAttribute('text-anchor', 'middle');
+                layerLabel.setAttribute('font-size', '10');
+                layerLabel.setAttribute('font-weight', '600');
+                layerLabel.setAttribute('fill', colour);
+                layerLabel.textContent = `${layer.name} - cut ${layer.cutLength.toFixed(0)} mm`;
+                svg.appendChild(layerLabel);
+            }
+        });
+
         // Panel width label (below panel, centered) - display only in mm
         const panelWidthLabel = document.createElementNS('http://www.w3.org/2000/svg', 'text');
         panelWidthLabel.setAttribute('x', currentX + panelWidth / 2);
@@ -670,8 +4459,10 @@ function renderDiagram(solution) {
         panelWidthLabel.setAttribute('font-weight', '600');
         panelWidthLabel.setAttribute('fill', '#000');
         // Always LTR for English labels
-        // Display only the number, without "Panel Width" text
-        panelWidthLabel.textContent = `${totalWidth.toFixed(1)} mm`;
+        // Display only the number, without "Panel Width" text - a railroaded piece is marked with its length along the roll
+        panelWidthLabel.textContent = solution.railroaded
+            ? `Seamless piece: ${totalWidth.toFixed(1)} mm along the roll`
+            : `${totalWidth.toFixed(1)} mm`;
         svg.appendChild(panelWidthLabel);
         
         // Add "Raw Material" label inside the panel (centered, moved 70px up)
@@ -684,11 +4475,26 @@ function renderDiagram(solution) {
         rawMaterialLabel.setAttribute('font-size', '14');
         rawMaterialLabel.setAttribute('font-weight', 'bold');
         rawMaterialLabel.setAttribute('fill', '#000');
-        rawMaterialLabel.textContent = `Raw Material: ${fabricWidth} mm`;
+        rawMaterialLabel.textContent = solution.railroaded
+            ? `Raw Material: ${fabricWidth} mm (railroaded - roll width covers the ${solution.cutLength.toFixed(0)} mm drop)`
+            : `Raw Material: ${fabricWidth} mm`;
         svg.appendChild(rawMaterialLabel);
+
+        // Name every leaf of a pair or custom layout below its panels, with the track it covers
+        if (leafCount > 1 && panel.isLast) {
+            const leafLabel = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+            leafLabel.setAttribute('x', (leafStartX + currentX + panelWidth) / 2);
+            leafLabel.setAttribute('y', startY + panelHeight + 45);
+            leafLabel.setAttribute('text-anchor', 'middle');
+            leafLabel.setAttribute('font-size', '12');
+            leafLabel.setAttribute('font-weight', '600');
+            leafLabel.setAttribute('fill', '#666');
+            leafLabel.textContent = `Leaf ${panel.leafIndex + 1}: track ${leaf.trackWidth.toFixed(0)} mm`;
+            svg.appendChild(leafLabel);
+        }
         
         // Move to next panel
-        currentX += panelWidth + gapPx;
+        currentX += getPanelStep(panel);
     }
     
     // Draw total width line below the diagram (after panel width labels)
@@ -706,7 +4512,10 @@ function renderDiagram(solution) {
     
     // Total width label (centered) - display only in mm, positioned above the line
     const totalWidthLabel = document.createElementNS('http://www.w3.org/2000/svg', 'text');
-    const labelText = `${t.totalWidth}: ${state.curtainWidth.toFixed(0)} mm`;
+    // Flat fabric width, with the track width and fullness it comes from
+    const labelText = solution.fullness !== 1
+        ? `${t.totalWidth}: ${solution.flatWidth.toFixed(0)} mm (Track ${solution.trackWidth.toFixed(0)} mm × ${solution.fullness.toFixed(2)} fullness)`
+        : `${t.totalWidth}: ${solution.flatWidth.toFixed(0)} mm`;
     totalWidthLabel.setAttribute('x', startX + totalWidthPx / 2);
     totalWidthLabel.setAttribute('y', totalWidthLineY - 5);
     totalWidthLabel.setAttribute('text-anchor', 'middle');
@@ -758,7 +4567,7 @@ function renderDiagram(solution) {
         img.setAttribute('height', imageSize.toString());
         img.setAttribute('preserveAspectRatio', 'xMidYMid meet');
         img.setAttribute('clip-path', `url(#clipCircle_${circleId}_${x}_${y})`);
-        loadImageAsBase64(imagePath).then(base64 => {
+        imageLoads.push(loadImageAsBase64(imagePath).then(base64 => {
             if (base64) {
                 img.setAttributeNS('http://www.w3.org/1999/xlink', 'href', base64);
                 img.setAttribute('href', base64);
@@ -766,7 +4575,7 @@ function renderDiagram(solution) {
         }).catch(() => {
             img.setAttributeNS('http://www.w3.org/1999/xlink', 'href', imagePath);
             img.setAttribute('href', imagePath);
-        });
+        }));
         svg.appendChild(img);
     };
     
@@ -780,20 +4589,22 @@ function renderDiagram(solution) {
     // Track shared corners to offset circles
     const sharedCorners = new Set(); // Track corners that are shared between panels
     
-    // Mark shared corners (corners between panels)
+    // Mark shared corners (corners between the panels of a leaf)
     let panelX = startX;
-    for (let i = 0; i < solution.parts - 1; i++) {
-        const isOuter = i === 0 || i === solution.parts - 1;
-        const panelWidth = isOuter ? outerPanelWidth : innerPanelWidth;
-        const rightCornerX = panelX + panelWidth;
-        sharedCorners.add(`${Math.round(rightCornerX)}_${Math.round(bottomY)}`);
-        panelX += panelWidth + gapPx;
-    }
+    panels.forEach(panel => {
+        const panelWidth = panel.isOuter ? outerPanelWidth : innerPanelWidth;
+        if (!panel.isLast) {
+            const rightCornerX = panelX + panelWidth;
+            sharedCorners.add(`${Math.round(rightCornerX)}_${Math.round(bottomY)}`);
+        }
+        panelX += getPanelStep(panel);
+    });
     
     // Loop through all panels and add circles on bottom corners with spacing
     panelX = startX;
-    for (let i = 0; i < solution.parts; i++) {
-        const isOuter = i === 0 || i === solution.parts - 1;
+    for (const panel of panels) {
+        const i = panel.index;
+        const isOuter = panel.isOuter;
         const panelWidth = isOuter ? outerPanelWidth : innerPanelWidth;
         
         // Calculate corner positions with offset
@@ -804,13 +4615,13 @@ function renderDiagram(solution) {
         
         if (isOuter) {
             // Outer panels: add image 1 on outer corner
-            if (i === 0) {
+            if (panel.isFirst) {
                 // Left outer panel: left bottom corner (outer corner) - offset inward
                 const leftX = leftCornerX + cornerOffset;
                 addImageCircle(leftX, bottomY, '1.jpg', `1_${i}_left`);
                 
-                // If only one panel, also add image 1 on right corner
-                if (solution.parts === 1) {
+                // If only one panel in the leaf, also add image 1 on right corner
+                if (panel.isLast) {
                     const rightX = rightCornerX - cornerOffset;
                     addImageCircle(rightX, bottomY, '1.jpg', `1_${i}_right`);
                 } else {
@@ -831,225 +4642,1134 @@ function renderDiagram(solution) {
                 addImageCircle(leftX, bottomY, '2.png', `2_${i}_left`);
             }
         } else {
-            // Inner panels: add image 2 on both bottom corners
-            // Left corner - if shared, offset more
-            const leftOffset = sharedCorners.has(leftKey) ? cornerOffset * 1.5 : cornerOffset;
-            const leftX = leftCornerX + leftOffset;
-            addImageCircle(leftX, bottomY, '2.png', `2_${i}_left`);
-            // Right corner - if shared, offset more
-            const rightOffset = sharedCorners.has(rightKey) ? cornerOffset * 1.5 : cornerOffset;
-            const rightX = rightCornerX - rightOffset;
-            addImageCircle(rightX, bottomY, '2.png', `2_${i}_right`);
+            // Inner panels: add image 2 on both bottom corners
+            // Left corner - if shared, offset more
+            const leftOffset = sharedCorners.has(leftKey) ? cornerOffset * 1.5 : cornerOffset;
+            const leftX = leftCornerX + leftOffset;
+            addImageCircle(leftX, bottomY, '2.png', `2_${i}_left`);
+            // Right corner - if shared, offset more
+            const rightOffset = sharedCorners.has(rightKey) ? cornerOffset * 1.5 : cornerOffset;
+            const rightX = rightCornerX - rightOffset;
+            addImageCircle(rightX, bottomY, '2.png', `2_${i}_right`);
+        }
+        
+        // Move to next panel
+        panelX += getPanelStep(panel);
+    }
+    
+    return { svg, imagesLoaded: Promise.all(imageLoads) };
+}
+
+// Helper function to load image and convert to base64 for PDF compatibility
+function loadImageAsBase64(imagePath) {
+    return new Promise((resolve, reject) => {
+        const img = new Image();
+        img.crossOrigin = 'anonymous';
+        
+        // Try different paths
+        const paths = [
+            imagePath,
+            `./${imagePath}`,
+            `/${imagePath}`,
+            `${window.location.origin}/${imagePath}`
+        ];
+        
+        let currentPathIndex = 0;
+        
+        const tryNextPath = () => {
+            if (currentPathIndex >= paths.length) {
+                reject(new Error('All image paths failed'));
+                return;
+            }
+            
+            const path = paths[currentPathIndex++];
+            
+            img.onload = function() {
+                try {
+                    const canvas = document.createElement('canvas');
+                    canvas.width = img.width;
+                    canvas.height = img.height;
+                    const ctx = canvas.getContext('2d');
+                    ctx.drawImage(img, 0, 0);
+                    const base64 = canvas.toDataURL('image/png');
+                    resolve(base64);
+                } catch (error) {
+                    console.warn('Failed to convert image to base64:', error);
+                    tryNextPath(); // Try next path on conversion error
+                }
+            };
+            
+            img.onerror = function() {
+                tryNextPath(); // Try next path on load error
+            };
+            
+            img.src = path;
+        };
+        
+        tryNextPath();
+    });
+}
+
+// Embedded PDF fonts - DejaVu Sans covers Latin, Hebrew and Arabic
+// The font files ship with the app as base64 in fonts/dejavu-sans.js (PDF_FONT_DATA), so the exports work offline.
+// The file is about 2 MB, so it is only loaded when a PDF is exported.
+const PDF_FONT_SCRIPT = 'fonts/dejavu-sans.js';
+const PDF_FONTS = [
+    { file: 'DejaVuSans.ttf', style: 'normal' },
+    { file: 'DejaVuSans-Bold.ttf', style: 'bold' }
+];
+const PDF_FONT_NAME = 'DejaVuSans';
+
+// Add fonts/dejavu-sans.js to the page - resolves to PDF_FONT_DATA, or null when the file could not be loaded
+// The load is shared by every export; a failed one is forgotten so the next export tries again
+function loadPdfFontData() {
+    if (!state.pdfFontLoad) {
+        state.pdfFontLoad = new Promise(resolve => {
+            if (typeof PDF_FONT_DATA !== 'undefined') {
+                resolve(PDF_FONT_DATA);
+                return;
+            }
+            const script = document.createElement('script');
+            script.src = PDF_FONT_SCRIPT;
+            script.onload = () => resolve(typeof PDF_FONT_DATA === 'undefined' ? null : PDF_FONT_DATA);
+            script.onerror = () => {
+                script.remove();
+                resolve(null);
+            };
+            document.head.appendChild(script);
+        }).then(fontData => {
+            if (!fontData) state.pdfFontLoad = null;
+            return fontData;
+        });
+    }
+    return state.pdfFontLoad;
+}
+
+// Register the embedded fonts in a PDF - resolves to the font name to use
+// Falls back to Helvetica, with a warning, when fonts/dejavu-sans.js cannot be loaded
+async function setupPdfFonts(pdf) {
+    const fontData = await loadPdfFontData();
+    if (!fontData) {
+        console.warn(`${PDF_FONT_SCRIPT} could not be loaded, using Helvetica`);
+        alert(`The PDF font file (${PDF_FONT_SCRIPT}) could not be loaded. The PDF uses a standard font, so Hebrew and Arabic text will not show correctly.`);
+        return 'helvetica';
+    }
+    PDF_FONTS.forEach(font => {
+        pdf.addFileToVFS(font.file, fontData[font.file]);
+        pdf.addFont(font.file, PDF_FONT_NAME, font.style);
+    });
+    return PDF_FONT_NAME;
+}
+
+// SVG paint value as a hex color for jsPDF - null for "none"
+function getSvgColor(value) {
+    if (!value || value === 'none') return null;
+    const named = { white: '#ffffff', black: '#000000' };
+    if (named[value]) return named[value];
+    if (/^#[0-9a-f]{3}$/i.test(value)) {
+        return '#' + value.slice(1).split('').map(c => c + c).join('');
+    }
+    return value;
+}
+
+/**
+ * Draw the diagram SVG into a PDF as vector lines, shapes and text
+ * The viewBox is fitted into the box like preserveAspectRatio="xMidYMin meet".
+ *
+ * @param {Object} pdf - jsPDF document (unit mm)
+ * @param {SVGElement} svg - Diagram from renderDiagram()
+ * @param {Object} box - { x, y, width, height } area of the page, in mm
+ * @param {string} fontName - Font registered with setupPdfFonts()
+ */
+function drawSvgToPdf(pdf, svg, box, fontName) {
+    const [viewX, viewY, viewWidth, viewHeight] = svg.getAttribute('viewBox').split(/\s+/).map(Number);
+    const scale = Math.min(box.width / viewWidth, box.height / viewHeight); // mm per SVG unit
+    const offsetX = box.x + (box.width - viewWidth * scale) / 2;
+    const offsetY = box.y;
+    const px = (value) => offsetX + (Number(value) - viewX) * scale;
+    const py = (value) => offsetY + (Number(value) - viewY) * scale;
+    const num = (element, name) => Number(element.getAttribute(name)) || 0;
+
+    Array.from(svg.children).forEach(element => {
+        const stroke = getSvgColor(element.getAttribute('stroke'));
+        const fill = getSvgColor(element.getAttribute('fill'));
+        if (stroke) {
+            pdf.setDrawColor(stroke);
+            pdf.setLineWidth((num(element, 'stroke-width') || 1) * scale);
+        }
+        if (fill) {
+            pdf.setFillColor(fill);
+        }
+        const paintStyle = fill && stroke ? 'FD' : (fill ? 'F' : 'S');
+
+        switch (element.tagName.toLowerCase()) {
+            case 'line': {
+                if (!stroke) break;
+                const coords = [px(num(element, 'x1')), py(num(element, 'y1')), px(num(element, 'x2')), py(num(element, 'y2'))];
+                if (element.getAttribute('stroke-dasharray')) {
+                    drawDashedLine(pdf, ...coords);
+                } else {
+                    pdf.line(...coords);
+                }
+                break;
+            }
+            case 'rect':
+                pdf.rect(px(num(element, 'x')), py(num(element, 'y')), num(element, 'width') * scale, num(element, 'height') * scale, paintStyle);
+                break;
+            case 'circle':
+                pdf.circle(px(num(element, 'cx')), py(num(element, 'cy')), num(element, 'r') * scale, paintStyle);
+                break;
+            case 'text': {
+                const text = element.textContent;
+                if (!text) break;
+                const fontSize = (num(element, 'font-size') || 12) * scale; // in mm
+                const weight = element.getAttribute('font-weight');
+                pdf.setFont(fontName, weight === 'bold' || Number(weight) >= 600 ? 'bold' : 'normal');
+                pdf.setFontSize(fontSize * 72 / 25.4); // mm to pt
+                pdf.setTextColor(fill || '#000000');
+
+                // Rotation, anchor and baseline are applied here so they also hold for rotated text
+                const rotation = /rotate\(\s*(-?[\d.]+)/.exec(element.getAttribute('transform') || '');
+                const angle = rotation ? -Number(rotation[1]) : 0; // SVG turns clockwise, jsPDF counterclockwise
+                const radians = angle * Math.PI / 180;
+                const anchor = element.getAttribute('text-anchor');
+                const shift = (anchor === 'middle' ? 0.5 : anchor === 'end' ? 1 : 0) * pdf.getTextWidth(text);
+                const drop = element.getAttribute('dominant-baseline') === 'middle' ? 0.35 * fontSize : 0;
+                const x = px(num(element, 'x')) - shift * Math.cos(radians) + drop * Math.sin(radians);
+                const y = py(num(element, 'y')) + shift * Math.sin(radians) + drop * Math.cos(radians);
+                // isInputVisual: false lets the bidi engine order Hebrew / Arabic names for display
+                pdf.text(text, x, y, { angle: angle, isInputVisual: false });
+                break;
+            }
+            case 'image': {
+                const href = element.getAttribute('href') || element.getAttributeNS('http://www.w3.org/1999/xlink', 'href');
+                const format = /^data:image\/(png|jpe?g)/i.exec(href || '');
+                if (!format) break; // not loaded as base64 - nothing to embed
+                const clipId = /url\(#(.+)\)/.exec(element.getAttribute('clip-path') || '');
+                const clipCircle = clipId ? svg.querySelector(`[id="${clipId[1]}"] circle`) : null;
+                pdf.saveGraphicsState();
+                if (clipCircle) {
+                    pdf.circle(px(num(clipCircle, 'cx')), py(num(clipCircle, 'cy')), num(clipCircle, 'r') * scale, null);
+                    pdf.clip();
+                    pdf.discardPath();
+                }
+                pdf.addImage(href, format[1].toUpperCase().replace('JPG', 'JPEG'), px(num(element, 'x')), py(num(element, 'y')),
+                    num(element, 'width') * scale, num(element, 'height') * scale);
+                pdf.restoreGraphicsState();
+                break;
+            }
+        }
+    });
+}
+
+// Export the diagram to PDF as vector graphics - text stays sharp and searchable
+async function exportToPDF() {
+    if (!state.diagramSVG || !state.diagramSolution) {
+        return;
+    }
+
+    const { jsPDF } = window.jspdf;
+    const solution = state.diagramSolution;
+
+    try {
+        // A4 landscape: 297mm x 210mm
+        const pdf = new jsPDF({
+            orientation: 'landscape',
+            unit: 'mm',
+            format: 'a4'
+        });
+        const fontName = await setupPdfFonts(pdf);
+        const margin = 5; // Minimal margin to maximize diagram size - the names are part of the diagram
+        drawSvgToPdf(pdf, state.diagramSVG, { x: margin, y: margin, width: 297 - margin * 2, height: 210 - margin * 2 }, fontName);
+
+        pdf.save(getDiagramFilename(solution, 'pdf'));
+    } catch (error) {
+        console.error('Error exporting PDF:', error);
+        alert('Error exporting PDF. Please try again.');
+    }
+}
+
+// Diagram files are named after the curtain
+function getDiagramFilename(solution, extension) {
+    const filenameCurtainName = solution.curtain.name.trim() || 'Curtain';
+    return `${filenameCurtainName}_חישוב_בדים.${extension}`;
+}
+
+/**
+ * Standalone copy of the shown diagram - sized in px, with its font set and every corner
+ * detail image embedded as base64 so the file opens the same outside the page
+ *
+ * @returns {Promise<Object>} { svg, width, height } - size in px at 96 DPI
+ */
+async function buildStandaloneDiagramSvg() {
+    // A fresh build, so the images are waited for instead of taken as far as they loaded
+    const { svg, imagesLoaded } = buildDiagramSvg(state.diagramSolution);
+    await imagesLoaded;
+
+    // An image whose file couldn't be loaded would point at a path next to the page
+    svg.querySelectorAll('image').forEach(image => {
+        if (!(image.getAttribute('href') || '').startsWith('data:')) {
+            image.remove();
+        }
+    });
+
+    const [, , width, height] = svg.getAttribute('viewBox').split(/\s+/).map(Number);
+    svg.setAttribute('width', Math.round(width));
+    svg.setAttribute('height', Math.round(height));
+    svg.setAttribute('font-family', 'Arial, Helvetica, sans-serif'); // the page font comes from style.css
+    svg.removeAttribute('class');
+    return { svg, width, height };
+}
+
+async function exportDiagramSvg() {
+    if (!state.diagramSolution) return;
+    try {
+        const { svg } = await buildStandaloneDiagramSvg();
+        const xml = '<?xml version="1.0" encoding="UTF-8"?>\n' + new XMLSerializer().serializeToString(svg);
+        downloadFile(xml, getDiagramFilename(state.diagramSolution, 'svg'), 'image/svg+xml');
+    } catch (error) {
+        console.error('Error exporting SVG:', error);
+        alert('Error exporting SVG. Please try again.');
+    }
+}
+
+// CRC-32 of a PNG chunk (type and data)
+function getPngCrc(bytes) {
+    let crc = 0xffffffff;
+    for (const byte of bytes) {
+        crc ^= byte;
+        for (let bit = 0; bit < 8; bit++) {
+            crc = crc & 1 ? (crc >>> 1) ^ 0xedb88320 : crc >>> 1;
+        }
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+// Write the resolution into a PNG (pHYs chunk after IHDR) so it is placed at its real size
+// A pHYs chunk the browser already wrote is replaced - a PNG may only hold one
+function setPngDpi(pngBytes, dpi) {
+    const pixelsPerMetre = Math.round(dpi / 0.0254);
+    const chunk = new Uint8Array(21);
+    const view = new DataView(chunk.buffer);
+    view.setUint32(0, 9); // data length
+    chunk.set([0x70, 0x48, 0x59, 0x73], 4); // "pHYs"
+    view.setUint32(8, pixelsPerMetre);
+    view.setUint32(12, pixelsPerMetre);
+    chunk[16] = 1; // unit: metre
+    view.setUint32(17, getPngCrc(chunk.subarray(4, 17)));
+
+    const ihdrEnd = 8 + 25; // signature, then the IHDR chunk
+    // pHYs must come before the image data - look for one between IHDR and the first IDAT
+    const pngView = new DataView(pngBytes.buffer, pngBytes.byteOffset, pngBytes.byteLength);
+    let physStart = ihdrEnd;
+    let physEnd = ihdrEnd;
+    for (let offset = ihdrEnd; offset + 8 <= pngBytes.length;) {
+        const type = String.fromCharCode(...pngBytes.subarray(offset + 4, offset + 8));
+        const chunkEnd = offset + 12 + pngView.getUint32(offset); // length, type, data, CRC
+        if (type === 'pHYs') {
+            physStart = offset;
+            physEnd = chunkEnd;
+            break;
+        }
+        if (type === 'IDAT' || type === 'IEND') break;
+        offset = chunkEnd;
+    }
+
+    const before = pngBytes.subarray(ihdrEnd, physStart);
+    const after = pngBytes.subarray(physEnd);
+    const result = new Uint8Array(ihdrEnd + chunk.length + before.length + after.length);
+    result.set(pngBytes.subarray(0, ihdrEnd), 0);
+    result.set(chunk, ihdrEnd);
+    result.set(before, ihdrEnd + chunk.length);
+    result.set(after, ihdrEnd + chunk.length + before.length);
+    return result;
+}
+
+// PNG of the diagram at the chosen DPI - the SVG is laid out at 96 DPI
+async function exportDiagramPng() {
+    if (!state.diagramSolution) return;
+    const dpi = state.pngExportDpi;
+    try {
+        const { svg, width, height } = await buildStandaloneDiagramSvg();
+        const svgUrl = URL.createObjectURL(new Blob([new XMLSerializer().serializeToString(svg)], { type: 'image/svg+xml' }));
+        const image = new Image();
+        try {
+            await new Promise((resolve, reject) => {
+                image.onload = resolve;
+                image.onerror = () => reject(new Error('The diagram could not be drawn'));
+                image.src = svgUrl;
+            });
+        } finally {
+            URL.revokeObjectURL(svgUrl);
+        }
+
+        const scale = dpi / 96;
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(width * scale);
+        canvas.height = Math.round(height * scale);
+        // Browsers cap the canvas size (Safari the soonest) - past it there is no context or no PNG
+        const tooLarge = `The diagram is too large to draw at ${dpi} DPI. Please choose a lower DPI.`;
+        const ctx = canvas.getContext('2d');
+        if (!ctx) {
+            alert(tooLarge);
+            return;
+        }
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+
+        const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+        if (!blob) {
+            alert(tooLarge);
+            return;
+        }
+        const png = setPngDpi(new Uint8Array(await blob.arrayBuffer()), dpi);
+        downloadFile(png, getDiagramFilename(state.diagramSolution, 'png'), 'image/png');
+    } catch (error) {
+        console.error('Error exporting PNG:', error);
+        alert('Error exporting PNG. Please try again.');
+    }
+}
+
+// Page size options of the job pack settings
+function renderJobPackOptions() {
+    const select = document.getElementById('job-pack-page-size');
+    if (!select) return;
+    select.innerHTML = JOB_PACK_PAGE_SIZES.map(size =>
+        `<option value="${size.id}">${escapeHtml(size.name)}</option>`
+    ).join('');
+    select.value = state.jobPackSettings.pageSize;
+    document.getElementById('job-pack-orientation').value = state.jobPackSettings.orientation;
+    renderJobPackLogo();
+}
+
+function renderJobPackLogo() {
+    const preview = document.getElementById('job-pack-logo-preview');
+    if (!preview) return;
+    const logo = state.jobPackSettings.logo;
+    preview.hidden = !logo;
+    if (logo) {
+        preview.src = logo;
+    } else {
+        preview.removeAttribute('src');
+    }
+    document.getElementById('job-pack-logo-remove-btn').hidden = !logo;
+}
+
+// Keep the logo as a data URL so it is saved with the workshop settings
+function loadJobPackLogo(file) {
+    return new Promise((resolve) => {
+        const reader = new FileReader();
+        reader.onload = () => {
+            state.jobPackSettings.logo = reader.result;
+            renderJobPackLogo();
+            scheduleAutosave();
+            resolve();
+        };
+        reader.onerror = () => {
+            alert(`${file.name} could not be read.`);
+            resolve();
+        };
+        reader.readAsDataURL(file);
+    });
+}
+
+// Shorten a PDF text with an ellipsis until it fits the width (in mm) in the current font
+function fitPdfText(pdf, text, maxWidth) {
+    if (pdf.getTextWidth(text) <= maxWidth) return text;
+    let fitted = text;
+    while (fitted.length > 1 && pdf.getTextWidth(`${fitted}…`) > maxWidth) {
+        fitted = fitted.slice(0, -1);
+    }
+    return `${fitted}…`;
+}
+
+// Content area of a job pack page in mm - the space below bottom is kept for the footer
+function getJobPackPage(pdf) {
+    const width = pdf.internal.pageSize.getWidth();
+    const height = pdf.internal.pageSize.getHeight();
+    const margin = 15;
+    return { width, height, left: margin, right: width - margin, top: margin, bottom: height - margin - 5, contentWidth: width - margin * 2 };
+}
+
+// Page title with a rule below it - returns the y where the content starts
+function drawPdfHeading(pdf, page, title, fontName) {
+    pdf.setFont(fontName, 'bold');
+    pdf.setFontSize(16);
+    pdf.setTextColor('#667eea');
+    pdf.text(fitPdfText(pdf, title, page.contentWidth), page.left, page.top + 6, { isInputVisual: false });
+    pdf.setDrawColor('#667eea');
+    pdf.setLineWidth(0.5);
+    pdf.line(page.left, page.top + 9, page.right, page.top + 9);
+    return page.top + 16;
+}
+
+/**
+ * Draw a table across the job pack pages - a table longer than the page continues on a new
+ * page with its header row repeated
+ *
+ * @param {Object} pdf - jsPDF document
+ * @param {Object} page - Content area from getJobPackPage()
+ * @param {number} y - Top of the table in mm
+ * @param {Array} columns - [{ header, width (share of the page width), align: 'left' | 'right' }]
+ * @param {Array} rows - Cell values per row
+ * @param {string} fontName - Font registered with setupPdfFonts()
+ * @param {Array} footRows - Total rows drawn in bold below a rule
+ * @returns {number} y below the table
+ */
+function drawPdfTable(pdf, page, y, columns, rows, fontName, footRows = []) {
+    const rowHeight = 7;
+    const totalShare = columns.reduce((sum, column) => sum + column.width, 0);
+    const widths = columns.map(column => column.width / totalShare * page.contentWidth);
+
+    const drawCells = (cells, style) => {
+        pdf.setFont(fontName, style);
+        pdf.setFontSize(9);
+        pdf.setTextColor('#333333');
+        let x = page.left;
+        cells.forEach((cell, index) => {
+            const text = fitPdfText(pdf, String(cell), widths[index] - 3);
+            if (text && columns[index].align === 'right') {
+                pdf.text(text, x + widths[index] - 1.5, y + 4.8, { align: 'right', isInputVisual: false });
+            } else if (text) {
+                pdf.text(text, x + 1.5, y + 4.8, { isInputVisual: false });
+            }
+            x += widths[index];
+        });
+        y += rowHeight;
+    };
+    const drawHeader = () => {
+        pdf.setFillColor('#eef0fb');
+        pdf.rect(page.left, y, page.contentWidth, rowHeight, 'F');
+        drawCells(columns.map(column => column.header), 'bold');
+    };
+    const ensureRoom = () => {
+        if (y + rowHeight <= page.bottom) return;
+        pdf.addPage();
+        y = page.top;
+        drawHeader();
+    };
+
+    drawHeader();
+    pdf.setLineWidth(0.2);
+    rows.forEach(row => {
+        ensureRoom();
+        drawCells(row, 'normal');
+        pdf.setDrawColor('#dddddd');
+        pdf.line(page.left, y, page.right, y);
+    });
+    footRows.forEach((row, index) => {
+        ensureRoom();
+        if (index === 0) {
+            pdf.setDrawColor('#667eea');
+            pdf.line(page.left, y, page.right, y);
+        }
+        drawCells(row, 'bold');
+    });
+    return y;
+}
+
+// Cover page: logo, project, client, date and revision
+function drawJobPackCover(pdf, page, fontName) {
+    const logo = state.jobPackSettings.logo;
+    if (logo) {
+        try {
+            const { width, height, fileType } = pdf.getImageProperties(logo);
+            const scale = Math.min(60 / width, 30 / height); // fit 60mm × 30mm
+            pdf.addImage(logo, fileType, page.left, page.top, width * scale, height * scale);
+        } catch (error) {
+            console.warn('Job pack logo could not be added:', error);
+        }
+    }
+
+    let y = page.top + page.height * 0.25;
+    pdf.setFont(fontName, 'bold');
+    pdf.setFontSize(14);
+    pdf.setTextColor('#667eea');
+    pdf.text('Job Pack', page.left, y);
+    y += 14;
+    pdf.setFontSize(26);
+    pdf.setTextColor('#333333');
+    pdf.text(fitPdfText(pdf, state.projectName || 'Curtain Project', page.contentWidth), page.left, y, { isInputVisual: false });
+    y += 8;
+    pdf.setDrawColor('#667eea');
+    pdf.setLineWidth(0.8);
+    pdf.line(page.left, y, page.right, y);
+    y += 12;
+
+    [
+        ['Client', state.projectClient || '-'],
+        ['Date', new Date().toLocaleDateString()],
+        ['Revision', state.projectRevision || '-'],
+        ['Curtains', String(state.projectResult.totals.curtains)]
+    ].forEach(([label, value]) => {
+        pdf.setFont(fontName, 'normal');
+        pdf.setFontSize(11);
+        pdf.setTextColor('#666666');
+        pdf.text(label, page.left, y);
+        pdf.setFont(fontName, 'bold');
+        pdf.setFontSize(13);
+        pdf.setTextColor('#333333');
+        pdf.text(fitPdfText(pdf, value, page.contentWidth - 35), page.left + 35, y, { isInputVisual: false });
+        y += 10;
+    });
+}
+
+// Fabric cut for the project per catalogue entry - { fabric label: { drops, metres, rolls, remnants, remaining, cost } }
+function getProjectFabricTotals(projectResult) {
+    const fabrics = {};
+    projectResult.rolls.forEach(roll => {
+        const label = getRollFabricLabel(roll);
+        const metrePrice = getFabricMetrePrice(getFabricEntry(roll.fabricId));
+        const fabric = fabrics[label] || (fabrics[label] = { drops: 0, metres: 0, rolls: 0, remnants: 0, remaining: 0, cost: 0 });
+        fabric.drops += roll.cuts.length;
+        fabric.metres += roll.used / 1000;
+        fabric.cost += roll.used / 1000 * metrePrice;
+        if (roll.remnantId) {
+            fabric.remnants++;
+        } else {
+            fabric.rolls++;
+            fabric.remaining += roll.length - roll.used;
         }
-        
-        // Move to next panel
-        panelX += panelWidth + gapPx;
+    });
+    return fabrics;
+}
+
+// Summary page: every curtain with its plan, then the fabric totals
+function drawJobPackSummary(pdf, page, fontName) {
+    const { curtainResults, totals } = state.projectResult;
+    let y = drawPdfHeading(pdf, page, 'Summary', fontName);
+
+    const curtainRows = curtainResults.map(({ curtain, solution }) => [
+        curtain.name,
+        `${curtain.width} × ${curtain.height}`,
+        getHeadingName(curtain.headingType),
+        solution ? (solution.railroaded ? 'railroaded' : solution.parts) : 'not solved',
+        solution ? solution.outerFabricLabel + (solution.innerFabricId !== solution.outerFabricId ? ` / ${solution.innerFabricLabel}` : '') : '-',
+        solution ? solution.cutLength.toFixed(0) : '-',
+        solution ? solution.waste.toFixed(1) : '-'
+    ]);
+    y = drawPdfTable(pdf, page, y, [
+        { header: 'Curtain', width: 3 },
+        { header: 'Size (mm)', width: 2 },
+        { header: 'Heading', width: 2 },
+        { header: 'Panels', width: 1.2, align: 'right' },
+        { header: 'Fabric', width: 2.6 },
+        { header: 'Cut (mm)', width: 1.6, align: 'right' },
+        { header: 'Waste (mm)', width: 1.8, align: 'right' }
+    ], curtainRows, fontName, [
+        [`${totals.solvedCurtains} / ${totals.curtains} solved`, '', '', totals.panels, '', '', totals.waste.toFixed(1)]
+    ]);
+
+    const fabrics = getProjectFabricTotals(state.projectResult);
+    const fabricRows = Object.keys(fabrics)
+        .sort((a, b) => parseFloat(b) - parseFloat(a))
+        .map(label => [label, fabrics[label].rolls, fabrics[label].drops, fabrics[label].metres.toFixed(2), fabrics[label].remaining.toFixed(0)]);
+    if (fabricRows.length === 0) return;
+    y += 10;
+    if (y + 30 > page.bottom) {
+        pdf.addPage();
+        y = page.top;
     }
-    
-    // Store SVG reference for PDF export
-    state.diagramSVG = svg;
-    state.diagramSolution = solution;
-    
-    container.appendChild(svg);
+    pdf.setFont(fontName, 'bold');
+    pdf.setFontSize(12);
+    pdf.setTextColor('#333333');
+    pdf.text('Fabric Totals', page.left, y);
+    drawPdfTable(pdf, page, y + 3, [
+        { header: 'Fabric', width: 3 },
+        { header: 'Rolls Opened', width: 1.5, align: 'right' },
+        { header: 'Drops', width: 1.2, align: 'right' },
+        { header: 'Metres Cut', width: 1.5, align: 'right' },
+        { header: 'Left on Rolls (mm)', width: 2, align: 'right' }
+    ], fabricRows, fontName);
 }
 
-// Helper function to load image and convert to base64 for PDF compatibility
-function loadImageAsBase64(imagePath) {
-    return new Promise((resolve, reject) => {
-        const img = new Image();
-        img.crossOrigin = 'anonymous';
-        
-        // Try different paths
-        const paths = [
-            imagePath,
-            `./${imagePath}`,
-            `/${imagePath}`,
-            `${window.location.origin}/${imagePath}`
-        ];
-        
-        let currentPathIndex = 0;
-        
-        const tryNextPath = () => {
-            if (currentPathIndex >= paths.length) {
-                reject(new Error('All image paths failed'));
-                return;
-            }
-            
-            const path = paths[currentPathIndex++];
-            
-            img.onload = function() {
-                try {
-                    const canvas = document.createElement('canvas');
-                    canvas.width = img.width;
-                    canvas.height = img.height;
-                    const ctx = canvas.getContext('2d');
-                    ctx.drawImage(img, 0, 0);
-                    const base64 = canvas.toDataURL('image/png');
-                    resolve(base64);
-                } catch (error) {
-                    console.warn('Failed to convert image to base64:', error);
-                    tryNextPath(); // Try next path on conversion error
-                }
-            };
-            
-            img.onerror = function() {
-                tryNextPath(); // Try next path on load error
-            };
-            
-            img.src = path;
-        };
-        
-        tryNextPath();
+// One page per solved curtain with its diagram
+async function drawJobPackDiagrams(pdf, page, fontName) {
+    for (const { curtain, solution } of state.projectResult.curtainResults) {
+        if (!solution) continue;
+        pdf.addPage();
+        const y = drawPdfHeading(pdf, page, curtain.name, fontName);
+        pdf.setFont(fontName, 'normal');
+        pdf.setFontSize(10);
+        pdf.setTextColor('#666666');
+        const details = `${curtain.width} × ${curtain.height} mm · ${getHeadingName(curtain.headingType)} · ` +
+            `${solution.railroaded ? 'railroaded' : `${solution.parts} panel${solution.parts === 1 ? '' : 's'}`} · cut length ${solution.cutLength.toFixed(0)} mm`;
+        pdf.text(fitPdfText(pdf, details, page.contentWidth), page.left, y - 2, { isInputVisual: false });
+
+        const { svg, imagesLoaded } = buildDiagramSvg(solution);
+        await imagesLoaded;
+        drawSvgToPdf(pdf, svg, { x: page.left, y: y + 4, width: page.contentWidth, height: page.bottom - y - 4 }, fontName);
+    }
+}
+
+// Materials page: the fabric to take from stock with its cost
+function drawJobPackMaterials(pdf, page, fontName) {
+    pdf.addPage();
+    const y = drawPdfHeading(pdf, page, 'Materials', fontName);
+    const fabrics = getProjectFabricTotals(state.projectResult);
+    const labels = Object.keys(fabrics).sort((a, b) => parseFloat(b) - parseFloat(a));
+    const totalCost = labels.reduce((sum, label) => sum + fabrics[label].cost, 0);
+    drawPdfTable(pdf, page, y, [
+        { header: 'Fabric', width: 3 },
+        { header: 'Rolls', width: 1, align: 'right' },
+        { header: 'Remnants', width: 1.3, align: 'right' },
+        { header: 'Drops', width: 1, align: 'right' },
+        { header: 'Metres', width: 1.4, align: 'right' },
+        { header: 'Price per Metre', width: 1.8, align: 'right' },
+        { header: 'Cost', width: 1.8, align: 'right' }
+    ], labels.map(label => {
+        const fabric = fabrics[label];
+        return [label, fabric.rolls, fabric.remnants, fabric.drops, fabric.metres.toFixed(2),
+            fabric.metres > 0 ? formatMoney(fabric.cost / fabric.metres) : '-', formatMoney(fabric.cost)];
+    }), fontName, [['Total', '', '', '', '', '', formatMoney(totalCost)]]);
+}
+
+// Cut sheet pages: every opened roll with its cuts in cutting order
+function drawJobPackCutSheet(pdf, page, fontName) {
+    pdf.addPage();
+    let y = drawPdfHeading(pdf, page, 'Cut Sheet', fontName);
+    state.projectResult.rolls.forEach(roll => {
+        if (y + 30 > page.bottom) {
+            pdf.addPage();
+            y = page.top;
+        }
+        pdf.setFont(fontName, 'bold');
+        pdf.setFontSize(11);
+        pdf.setTextColor('#333333');
+        pdf.text(getRollDescription(roll), page.left, y, { isInputVisual: false });
+        y = drawPdfTable(pdf, page, y + 2, [
+            { header: '#', width: 0.6, align: 'right' },
+            { header: 'Label', width: 1.2 },
+            { header: 'Cut (mm)', width: 1.3, align: 'right' },
+            { header: 'Panel', width: 3.4 },
+            { header: 'Panel Width (mm)', width: 1.8, align: 'right' },
+            { header: 'On Roll (mm)', width: 2 }
+        ], roll.cuts.map((cut, index) => [
+            index + 1,
+            getPanelLabel(cut),
+            cut.cutLength.toFixed(0),
+            `${cut.curtainName} panel ${cut.panelIndex + 1} (${getCutRoleLabel(cut)})`,
+            cut.cutWidth.toFixed(1),
+            `${cut.offset.toFixed(0)}–${(cut.offset + cut.cutLength).toFixed(0)}`
+        ]), fontName);
+        pdf.setFont(fontName, 'normal');
+        pdf.setFontSize(9);
+        pdf.text(`Leftover: ${(roll.length - roll.used).toFixed(0)} mm`, page.left, y + 5);
+        y += 14;
     });
 }
 
-// Export diagram to PDF using html2canvas for Unicode support
-async function exportToPDF() {
-    if (!state.diagramSVG || !state.diagramSolution) {
-        return;
+// Project name and page numbers at the foot of every page
+function drawJobPackFooters(pdf, page, fontName) {
+    const pageCount = pdf.getNumberOfPages();
+    for (let pageNumber = 1; pageNumber <= pageCount; pageNumber++) {
+        pdf.setPage(pageNumber);
+        pdf.setFont(fontName, 'normal');
+        pdf.setFontSize(8);
+        pdf.setTextColor('#666666');
+        const footerY = page.height - 10;
+        const title = [state.projectName, state.projectRevision && `Rev. ${state.projectRevision}`].filter(Boolean).join(' · ');
+        pdf.text(fitPdfText(pdf, title, page.contentWidth - 30), page.left, footerY, { isInputVisual: false });
+        pdf.text(`Page ${pageNumber} of ${pageCount}`, page.right, footerY, { align: 'right' });
     }
-    
-    // Check if html2canvas is available
+}
+
+// Job pack of the last calculation: cover, summary, one diagram page per curtain, materials and cut sheet
+async function exportJobPack() {
+    if (!state.projectResult) return;
+
+    const { jsPDF } = window.jspdf;
+    try {
+        const pdf = new jsPDF({
+            orientation: state.jobPackSettings.orientation,
+            unit: 'mm',
+            format: state.jobPackSettings.pageSize
+        });
+        const fontName = await setupPdfFonts(pdf);
+        const page = getJobPackPage(pdf);
+
+        drawJobPackCover(pdf, page, fontName);
+        pdf.addPage();
+        drawJobPackSummary(pdf, page, fontName);
+        await drawJobPackDiagrams(pdf, page, fontName);
+        if (state.projectResult.rolls.length > 0) {
+            drawJobPackMaterials(pdf, page, fontName);
+            drawJobPackCutSheet(pdf, page, fontName);
+        }
+        drawJobPackFooters(pdf, page, fontName);
+
+        pdf.save(`${(state.projectName || 'Curtain Project').trim()}_job_pack.pdf`);
+    } catch (error) {
+        console.error('Error exporting job pack:', error);
+        alert('Error exporting job pack. Please try again.');
+    }
+}
+
+/**
+ * Export an off-screen HTML document to an A4 portrait PDF
+ * The page is captured with html2canvas for Unicode support; content longer than a page
+ * continues on the next pages.
+ *
+ * @param {HTMLElement} element - Document to capture (800px wide, not yet in the page)
+ * @param {string} filename - Name of the PDF file
+ * @param {string} description - What is exported, for the error message
+ */
+async function exportHtmlToPdf(element, filename, description) {
     if (typeof html2canvas === 'undefined') {
         alert('html2canvas library is required for PDF export. Please wait for it to load.');
         return;
     }
-    
+
     const { jsPDF } = window.jspdf;
-    const solution = state.diagramSolution;
-    const lang = state.diagramLanguage;
-    
-    // Get the SVG container
-    const container = document.getElementById('diagram-container');
-    const svgElement = container.querySelector('svg');
-    
-    if (!svgElement) {
-        alert('No diagram to export');
-        return;
-    }
-    
-    // Create a temporary container for rendering
-    const tempContainer = document.createElement('div');
-    tempContainer.style.position = 'absolute';
-    tempContainer.style.left = '-9999px';
-    tempContainer.style.width = '1200px'; // Fixed width for consistent rendering
-    tempContainer.style.backgroundColor = 'white';
-    document.body.appendChild(tempContainer);
-    
-    // Clone the SVG
-    const clonedSvg = svgElement.cloneNode(true);
-    tempContainer.appendChild(clonedSvg);
-    
+    element.style.position = 'absolute';
+    element.style.left = '-9999px';
+    element.style.width = '800px';
+    element.style.padding = '40px';
+    element.style.backgroundColor = 'white';
+    element.style.fontFamily = 'Arial, sans-serif';
+    element.style.color = '#333';
+    document.body.appendChild(element);
+
     try {
-        // Wait for images to load before capturing
-        const images = tempContainer.querySelectorAll('image');
-        const imagePromises = Array.from(images).map(img => {
-            return new Promise((resolve) => {
-                const imgElement = new Image();
-                imgElement.crossOrigin = 'anonymous';
-                imgElement.onload = () => {
-                    // Image loaded successfully, update SVG image element
-                    img.setAttributeNS('http://www.w3.org/1999/xlink', 'href', imgElement.src);
-                    resolve();
-                };
-                imgElement.onerror = () => {
-                    // Image failed to load, but continue anyway
-                    console.warn('Image failed to load:', img.getAttribute('href') || img.getAttributeNS('http://www.w3.org/1999/xlink', 'href'));
-                    resolve();
-                };
-                // Try both href and xlink:href
-                const href = img.getAttribute('href') || 
-                            img.getAttributeNS('http://www.w3.org/1999/xlink', 'href') ||
-                            img.getAttribute('xlink:href');
-                if (href) {
-                    // Use absolute path if relative
-                    const imagePath = href.startsWith('http') ? href : 
-                                     (href.startsWith('/') ? href : `./${href}`);
-                    imgElement.src = imagePath;
-                } else {
-                    resolve(); // No href, skip
-                }
-            });
-        });
-        await Promise.all(imagePromises);
-        
-        // Give browser time to render images in SVG
-        await new Promise(resolve => setTimeout(resolve, 200));
-        
-        // Convert SVG to canvas using html2canvas (supports Unicode)
-        const canvas = await html2canvas(tempContainer, {
+        const canvas = await html2canvas(element, {
             backgroundColor: '#ffffff',
-            scale: 2, // Higher quality
-            useCORS: true,
-            allowTaint: true, // Allow loading external images
+            scale: 2,
             logging: false
         });
-        
-        // Clean up temporary container
-        document.body.removeChild(tempContainer);
-        
-        // Create PDF
-        const pdf = new jsPDF({
-            orientation: 'landscape',
-            unit: 'mm',
-            format: 'a4'
-        });
-        
-        // A4 landscape: 297mm x 210mm
-        const pdfWidth = 297;
-        const pdfHeight = 210;
-        const margin = 5; // Minimal margin to maximize diagram size
-        
-        // Project name and curtain name are now included in the SVG (captured by html2canvas)
-        // No need to add them separately to PDF - they're already in the image
-        const topMargin = 5; // Minimal top margin since names are in SVG
-        
-        // Calculate dimensions to fit canvas in PDF - maximize size
-        const canvasWidth = canvas.width;
-        const canvasHeight = canvas.height;
-        const canvasAspectRatio = canvasWidth / canvasHeight;
-        
-        // Use full width available (no roll info on the right)
-        const availableWidth = pdfWidth - margin * 2;
-        const availableHeight = pdfHeight - topMargin - margin;
-        
-        const pdfAspectRatio = availableWidth / availableHeight;
-        
-        let imgWidth, imgHeight;
-        if (canvasAspectRatio > pdfAspectRatio) {
-            // Canvas is wider - fit to width (fill available width)
-            imgWidth = availableWidth;
-            imgHeight = imgWidth / canvasAspectRatio;
-    } else {
-            // Canvas is taller - fit to height (fill entire height)
-            imgHeight = availableHeight;
-            imgWidth = imgHeight * canvasAspectRatio;
-        }
-        
-        // Position the image on the left, leaving space on the right for roll info
-        const x = margin;
-        const y = topMargin; // Position below project/curtain names
-        
-        // Convert canvas to image data
+        document.body.removeChild(element);
+
+        // A4 portrait: 210mm x 297mm
+        const pdf = new jsPDF({ orientation: 'portrait', unit: 'mm', format: 'a4' });
+        const margin = 10;
+        const imgWidth = 210 - margin * 2;
+        const imgHeight = imgWidth * canvas.height / canvas.width;
+        const pageHeight = 297 - margin * 2;
         const imgData = canvas.toDataURL('image/png');
-        
-        // Add image to PDF
-        pdf.addImage(imgData, 'PNG', x, y, imgWidth, imgHeight);
-        
-        // Generate PDF filename with curtain name
-        const filenameCurtainName = state.curtainName.trim() || 'Curtain';
-        const filename = `${filenameCurtainName}_חישוב_בדים.pdf`;
-        
-        // Save PDF
+        for (let offset = 0; offset < imgHeight; offset += pageHeight) {
+            if (offset > 0) pdf.addPage();
+            pdf.addImage(imgData, 'PNG', margin, margin - offset, imgWidth, imgHeight);
+        }
+
         pdf.save(filename);
     } catch (error) {
-        console.error('Error exporting PDF:', error);
-        alert('Error exporting PDF. Please try again.');
-        // Clean up on error
-        if (document.body.contains(tempContainer)) {
-            document.body.removeChild(tempContainer);
+        console.error(`Error exporting ${description}:`, error);
+        alert(`Error exporting ${description}. Please try again.`);
+        if (document.body.contains(element)) {
+            document.body.removeChild(element);
+        }
+    }
+}
+
+// Customer-facing quote of the last calculation, exported to PDF
+async function exportQuote() {
+    if (!state.projectResult) return;
+
+    const projectCost = computeProjectCost(state.projectResult);
+    if (projectCost.curtains.length === 0) return;
+    const { totals } = projectCost;
+    const projectName = state.projectName || 'Curtain Project';
+
+    const rows = projectCost.curtains.map(({ curtain, solution, cost }) => `
+        <tr>
+            <td>${escapeHtml(curtain.name)}<br><small>${curtain.width} × ${curtain.height} mm · ${escapeHtml(getHeadingName(curtain.headingType))}</small></td>
+            <td>${escapeHtml(solution.outerFabricLabel)}${solution.innerFabricId !== solution.outerFabricId ? ` / ${escapeHtml(solution.innerFabricLabel)}` : ''}<br><small>${cost.fabricMetres.toFixed(2)} m</small></td>
+            <td style="text-align: right;">${formatMoney(cost.fabricUsed)}</td>
+            <td style="text-align: right;">${formatMoney(cost.labour)}</td>
+            <td style="text-align: right;">${formatMoney(cost.subtotal)}</td>
+        </tr>`).join('');
+
+    const quoteElement = document.createElement('div');
+    quoteElement.innerHTML = `
+        <h1 style="margin: 0 0 4px; color: #667eea;">Quote</h1>
+        <div style="font-size: 18px; font-weight: bold;">${escapeHtml(projectName)}</div>
+        <div style="margin-bottom: 24px; color: #666;">${new Date().toLocaleDateString()}</div>
+        <table style="width: 100%; border-collapse: collapse; font-size: 14px;">
+            <thead>
+                <tr style="border-bottom: 2px solid #667eea; text-align: left;">
+                    <th style="padding: 6px;">Curtain</th><th style="padding: 6px;">Fabric</th>
+                    <th style="padding: 6px; text-align: right;">Fabric</th><th style="padding: 6px; text-align: right;">Making</th>
+                    <th style="padding: 6px; text-align: right;">Amount</th>
+                </tr>
+            </thead>
+            <tbody>${rows}
+            </tbody>
+            <tfoot>
+                <tr style="border-top: 2px solid #667eea;"><td colspan="4" style="padding: 6px;">Subtotal</td><td style="padding: 6px; text-align: right;">${formatMoney(totals.subtotal)}</td></tr>
+                <tr><td colspan="4" style="padding: 6px;">VAT ${state.costSettings.vatRate}%</td><td style="padding: 6px; text-align: right;">${formatMoney(totals.vat)}</td></tr>
+                <tr style="font-weight: bold; font-size: 16px;"><td colspan="4" style="padding: 6px;">Total</td><td style="padding: 6px; text-align: right;">${formatMoney(totals.total)}</td></tr>
+            </tfoot>
+        </table>
+    `;
+    quoteElement.querySelectorAll('tbody td').forEach(td => {
+        td.style.padding = '6px';
+        td.style.borderBottom = '1px solid #eee';
+        td.style.verticalAlign = 'top';
+    });
+    await exportHtmlToPdf(quoteElement, `${projectName.trim()}_quote.pdf`, 'quote');
+}
+
+// Label to write on a cut panel - unique in the project: curtain id and panel number,
+// with the layer's suffix for a lining panel (e.g. "C2-3L")
+function getPanelLabel(cut) {
+    const layer = LINING_LAYERS.find(l => l.id === cut.layer);
+    return `C${cut.curtainId}-${cut.panelIndex + 1}${layer ? layer.labelSuffix : ''}`;
+}
+
+// Role of a cut panel for the cut lists, e.g. "outer" or "lining inner"
+function getCutRoleLabel(cut) {
+    const layer = LINING_LAYERS.find(l => l.id === cut.layer);
+    return layer ? `${layer.name.toLowerCase()} ${cut.role}` : cut.role;
+}
+
+// Layer of a solution a cut belongs to - the cut's leaf (the solution itself for a single leaf) for the face fabric
+// (both have the allowances and cut length the panel was cut with)
+function getCutLayer(solution, cut) {
+    const leaf = getPlanLeaves(solution)[cut.leafIndex || 0];
+    return leaf.layers.find(layer => layer.id === cut.layer) || leaf;
+}
+
+// Cut sheet of the last calculation: every opened roll with its cuts in cutting order and the leftover length
+function buildCutSheetHtml(projectResult) {
+    const rollsHtml = projectResult.rolls.map(roll => {
+        const rows = roll.cuts.map((cut, index) => {
+            const label = getPanelLabel(cut);
+            const done = state.cutSheetDone.has(label);
+            return `
+                <tr${done ? ' class="done"' : ''}>
+                    <td><input type="checkbox" data-label="${label}"${done ? ' checked' : ''}></td>
+                    <td>${index + 1}</td>
+                    <td class="panel-label">${label}</td>
+                    <td>Cut ${cut.cutLength.toFixed(0)} mm</td>
+                    <td>${escapeHtml(cut.curtainName)} panel ${cut.panelIndex + 1} (${getCutRoleLabel(cut)})</td>
+                    <td>${cut.cutWidth.toFixed(1)} mm</td>
+                    <td>${cut.offset.toFixed(0)}–${(cut.offset + cut.cutLength).toFixed(0)} mm</td>
+                </tr>`;
+        }).join('');
+        return `
+            <div class="cut-sheet-roll">
+                <h4>${escapeHtml(getRollDescription(roll))}</h4>
+                <table class="results-table">
+                    <thead>
+                        <tr><th>Done</th><th>#</th><th>Label</th><th>Cut</th><th>Panel</th><th>Panel Width</th><th>On Roll</th></tr>
+                    </thead>
+                    <tbody>${rows}
+                    </tbody>
+                </table>
+                <p class="cut-sheet-leftover">Leftover: ${(roll.length - roll.used).toFixed(0)} mm</p>
+            </div>`;
+    }).join('');
+
+    return `
+        <div class="cut-sheet">
+            <h3>Cut Sheet${state.projectName ? ` - ${escapeHtml(state.projectName)}` : ''}</h3>
+            ${rollsHtml}
+        </div>
+    `;
+}
+
+function renderCutSheet() {
+    const container = document.getElementById('cut-sheet-container');
+    if (!container || container.hidden || !state.projectResult) return;
+    container.innerHTML = buildCutSheetHtml(state.projectResult);
+}
+
+async function exportCutSheet() {
+    if (!state.projectResult) return;
+    const sheetElement = document.createElement('div');
+    sheetElement.innerHTML = buildCutSheetHtml(state.projectResult);
+    await exportHtmlToPdf(sheetElement, `${(state.projectName || 'Curtain Project').trim()}_cut_sheet.pdf`, 'cut sheet');
+}
+
+// Rows of the cut list of the last calculation - the header row first, every cut in cutting order per curtain
+function getCutListRows() {
+    const rows = [['Curtain', 'Panel', 'Outer / Inner', 'Fabric Width', 'Cut Width (mm)', 'Cut Length (mm)', 'Roll Assignment']];
+    state.projectResult.curtainResults.forEach(({ curtain, solution }) => {
+        if (!solution) return;
+        solution.cuts.forEach(cut => {
+            rows.push([
+                curtain.name,
+                cut.panelIndex + 1,
+                getCutRoleLabel(cut),
+                cut.fabricLabel,
+                Math.round(cut.cutWidth * 10) / 10,
+                Math.round(cut.cutLength),
+                `${getRollName(cut.rollNumber, cut.remnantId)}, ${cut.offset.toFixed(0)}–${(cut.offset + cut.cutLength).toFixed(0)} mm`
+            ]);
+        });
+    });
+    return rows;
+}
+
+function getCutListFilename(extension) {
+    return `${(state.projectName || 'Curtain Project').trim()}_cut_list.${extension}`;
+}
+
+function exportCutListCsv() {
+    if (!state.projectResult) return;
+    const escapeCell = (value) => /[",\n]/.test(String(value)) ? `"${String(value).replace(/"/g, '""')}"` : String(value);
+    const csv = getCutListRows().map(row => row.map(escapeCell).join(',')).join('\r\n');
+    // The byte order mark makes spreadsheet programs read the curtain names as UTF-8
+    downloadFile('\ufeff' + csv, getCutListFilename('csv'), 'text/csv;charset=utf-8');
+}
+
+// XLSX export through SheetJS (loaded from the CDN)
+function exportCutListXlsx() {
+    if (!state.projectResult) return;
+    if (typeof XLSX === 'undefined') {
+        alert('SheetJS library is required for XLSX export. Please wait for it to load.');
+        return;
+    }
+
+    const sheet = XLSX.utils.aoa_to_sheet(getCutListRows());
+    sheet['!cols'] = [{ wch: 24 }, { wch: 7 }, { wch: 12 }, { wch: 18 }, { wch: 15 }, { wch: 15 }, { wch: 30 }];
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, sheet, 'Cut List');
+    XLSX.writeFile(workbook, getCutListFilename('xlsx'));
+}
+
+// Layers of the DXF cut file - AutoCAD colour numbers, fold lines dashed
+const DXF_LAYERS = [
+    { name: 'CUT', color: 7, lineType: 'CONTINUOUS' },
+    { name: 'FOLD', color: 5, lineType: 'DASHED' },
+    { name: 'TEXT', color: 3, lineType: 'CONTINUOUS' }
+];
+
+// Space between the rolls laid out in the DXF (in mm)
+const DXF_ROLL_GAP_MM = 300;
+
+// DXF text - characters outside ASCII are written as \U+XXXX escapes
+function getDxfText(text) {
+    return Array.from(String(text)).map(char => {
+        const code = char.codePointAt(0);
+        return code < 128 ? char : `\\U+${code.toString(16).toUpperCase().padStart(4, '0')}`;
+    }).join('');
+}
+
+/**
+ * Cut outlines of the last calculation as an R12 DXF at 1:1 scale (mm)
+ * Every opened roll or remnant is one lane - X runs along the roll from its start, Y across
+ * its width - and its drops sit at their roll offsets, as they are cut. Panel outlines go on the
+ * CUT layer, side hem / heading / hem folds on FOLD and the panel labels on TEXT.
+ *
+ * @param {Object} projectResult - Result of solveProject()
+ * @returns {string} DXF file content
+ */
+function buildCutDxf(projectResult) {
+    const solutions = new Map(projectResult.curtainResults
+        .filter(({ solution }) => solution)
+        .map(({ curtain, solution }) => [curtain.id, solution]));
+    const codes = [];
+    const add = (code, value) => codes.push(code, typeof value === 'number' ? String(Math.round(value * 100) / 100) : value);
+
+    const addLine = (x1, y1, x2, y2, layer) => {
+        add(0, 'LINE');
+        add(8, layer);
+        add(10, x1); add(20, y1); add(30, 0);
+        add(11, x2); add(21, y2); add(31, 0);
+    };
+    const addRectangle = (x, y, width, height, layer) => {
+        add(0, 'POLYLINE');
+        add(8, layer);
+        add(66, '1');
+        add(10, 0); add(20, 0); add(30, 0);
+        add(70, '1'); // closed
+        [[x, y], [x + width, y], [x + width, y + height], [x, y + height]].forEach(([vx, vy]) => {
+            add(0, 'VERTEX');
+            add(8, layer);
+            add(10, vx); add(20, vy); add(30, 0);
+        });
+        add(0, 'SEQEND');
+        add(8, layer);
+    };
+    const addText = (x, y, height, text, centred) => {
+        add(0, 'TEXT');
+        add(8, 'TEXT');
+        add(10, x); add(20, y); add(30, 0);
+        add(40, height);
+        add(1, getDxfText(text));
+        if (centred) {
+            add(72, '1'); // centre
+            add(11, x); add(21, y); add(31, 0);
+            add(73, '2'); // middle
         }
+    };
+
+    // Header and tables: millimetres, the dashed line type and the layers
+    add(0, 'SECTION'); add(2, 'HEADER');
+    add(9, '$ACADVER'); add(1, 'AC1009');
+    add(9, '$INSUNITS'); add(70, '4');
+    add(9, '$MEASUREMENT'); add(70, '1');
+    add(0, 'ENDSEC');
+    add(0, 'SECTION'); add(2, 'TABLES');
+    add(0, 'TABLE'); add(2, 'LTYPE'); add(70, '2');
+    add(0, 'LTYPE'); add(2, 'CONTINUOUS'); add(70, '0'); add(3, 'Solid line'); add(72, '65'); add(73, '0'); add(40, 0);
+    add(0, 'LTYPE'); add(2, 'DASHED'); add(70, '0'); add(3, '__ __ __'); add(72, '65'); add(73, '2'); add(40, 15);
+    add(49, 10); add(49, -5);
+    add(0, 'ENDTAB');
+    add(0, 'TABLE'); add(2, 'LAYER'); add(70, String(DXF_LAYERS.length));
+    DXF_LAYERS.forEach(layer => {
+        add(0, 'LAYER'); add(2, layer.name); add(70, '0'); add(62, String(layer.color)); add(6, layer.lineType);
+    });
+    add(0, 'ENDTAB');
+    add(0, 'ENDSEC');
+
+    add(0, 'SECTION'); add(2, 'ENTITIES');
+    let laneY = 0;
+    projectResult.rolls.forEach(roll => {
+        addText(0, laneY - 80, 50, getRollDescription(roll), false);
+
+        roll.cuts.forEach(cut => {
+            const solution = solutions.get(cut.curtainId);
+            const x = cut.offset;
+            const y = laneY;
+            addRectangle(x, y, cut.cutLength, cut.cutWidth, 'CUT');
+
+            // Fold lines - a railroaded piece lies turned, with its width along the roll
+            // Lining panels fold on the allowances of their layer
+            const layer = getCutLayer(solution, cut);
+            const outer = layer.outerEdgeAllowance;
+            const inner = layer.innerEdgeAllowance;
+            const panel = getPlanPanels(solution)[cut.panelIndex];
+            const left = panel.isFirst ? outer : inner;
+            const right = panel.isLast ? outer : inner;
+            const folds = solution.railroaded
+                ? [
+                    [x + left, y, x + left, y + cut.cutWidth, left],
+                    [x + cut.cutLength - right, y, x + cut.cutLength - right, y + cut.cutWidth, right],
+                    [x, y + layer.headerAllowance, x + cut.cutLength, y + layer.headerAllowance, layer.headerAllowance],
+                    [x, y + layer.cutLength - layer.hemAllowance, x + cut.cutLength, y + layer.cutLength - layer.hemAllowance, layer.hemAllowance]
+                ]
+                : [
+                    [x, y + left, x + cut.cutLength, y + left, left],
+                    [x, y + cut.cutWidth - right, x + cut.cutLength, y + cut.cutWidth - right, right],
+                    [x + layer.headerAllowance, y, x + layer.headerAllowance, y + cut.cutWidth, layer.headerAllowance],
+                    [x + layer.cutLength - layer.hemAllowance, y, x + layer.cutLength - layer.hemAllowance, y + cut.cutWidth, layer.hemAllowance]
+                ];
+            folds.forEach(([x1, y1, x2, y2, allowance]) => {
+                if (allowance > 0) addLine(x1, y1, x2, y2, 'FOLD');
+            });
+
+            const textHeight = Math.min(60, cut.cutWidth / 8, cut.cutLength / 8);
+            addText(x + cut.cutLength / 2, y + cut.cutWidth / 2 + textHeight * 0.8, textHeight, getPanelLabel(cut), true);
+            addText(x + cut.cutLength / 2, y + cut.cutWidth / 2 - textHeight * 0.8, textHeight * 0.6, `${cut.curtainName} panel ${cut.panelIndex + 1} (${getCutRoleLabel(cut)})`, true);
+        });
+
+        laneY += roll.width + DXF_ROLL_GAP_MM;
+    });
+    add(0, 'ENDSEC');
+    add(0, 'EOF');
+
+    const lines = [];
+    for (let i = 0; i < codes.length; i += 2) {
+        lines.push(String(codes[i]).padStart(3, ' '), codes[i + 1]);
     }
+    return lines.join('\r\n') + '\r\n';
+}
+
+function exportCutDxf() {
+    if (!state.projectResult || state.projectResult.rolls.length === 0) return;
+    downloadFile(buildCutDxf(state.projectResult), `${(state.projectName || 'Curtain Project').trim()}_cut_outlines.dxf`, 'application/dxf');
 }
 
 // Helper function to draw dashed lines in PDF